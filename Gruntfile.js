@@ -1,12 +1,14 @@
 'use strict';
 var config = {
     targets: {
-        test: ['test/**/*.js'],
-        src: ['lib/**/*.js', '*.js']
+        test: ['test/**/*.js', '!test/fixtures/**'],
+        fixtures: ['test/fixtures/**/*.js'],
+        src: ['lib/**/*.js', '*.js'],
+        types: ['lib/**/*.d.ts', 'test/types/**/*.ts']
     },
     timeout: 5000
 };
-config.targets.all = config.targets.test.concat(config.targets.src);
+config.targets.all = config.targets.test.concat(config.targets.fixtures, config.targets.src);
 
 module.exports = function(grunt) {
     grunt.initConfig({
@@ -47,7 +49,7 @@ module.exports = function(grunt) {
             }
         },
         watch: {
-            files: config.targets.all,
+            files: config.targets.all.concat(config.targets.types),
             tasks: ['default']
         }
     });
@@ -58,8 +60,25 @@ module.exports = function(grunt) {
     grunt.loadNpmTasks('grunt-contrib-watch');
     grunt.loadNpmTasks('grunt-notify');
 
+    grunt.registerTask('types', 'Compile the type definition tests', function() {
+        if (parseInt(process.versions.node, 10) < 14) {
+            grunt.log.writeln('Skipping the type definition tests, TypeScript needs Node 14.17 or later');
+            return;
+        }
+        var done = this.async();
+        grunt.util.spawn({
+            cmd: process.execPath,
+            args: [require.resolve('typescript/bin/tsc'), '-p', '.'],
+            opts: {
+                stdio: 'inherit'
+            }
+        }, function(err) {
+            done(!err);
+        });
+    });
+
     // Default task.
-    grunt.registerTask('default', ['jshint:stdout', 'mochaTest']);
+    grunt.registerTask('default', ['jshint:stdout', 'types', 'mochaTest']);
     grunt.registerTask('test', ['default']);
     grunt.registerTask('coverage', ['mocha_istanbul']);
 };
@@ -0,0 +1,257 @@
+'use strict';
+/* global BigInt */
+var _ = require('lodash');
+var MAX_TIMERS = 1000;
+var fakeTimers = new WeakSet();
+var installedClock;
+
+function installed() {
+    return installedClock;
+}
+
+function warp(milliseconds, func) {
+    var originalTimeout = global.setTimeout;
+    global.setTimeout = function(callback, timeout) {
+        var args = _.toArray(arguments);
+        args[1] = Math.max((timeout || 0) - milliseconds, 0);
+        return originalTimeout.apply(global, args);
+    };
+    try {
+        return func();
+    } finally {
+        global.setTimeout = originalTimeout;
+    }
+}
+
+function createDate(RealDate, now) {
+    function FakeDate() {
+        if (!(this instanceof FakeDate)) {
+            return new RealDate(now()).toString();
+        }
+        if (arguments.length === 0) {
+            return new RealDate(now());
+        }
+        var args = [null].concat(_.toArray(arguments));
+        return new (Function.prototype.bind.apply(RealDate, args))();
+    }
+    FakeDate.prototype = RealDate.prototype;
+    FakeDate.now = now;
+    FakeDate.parse = RealDate.parse;
+    FakeDate.UTC = RealDate.UTC;
+    return FakeDate;
+}
+
+function createTimer(id) {
+    var timer = {
+        id: id,
+        ref: function() {
+            return timer;
+        },
+        unref: function() {
+            return timer;
+        },
+        hasRef: _.constant(true)
+    };
+    timer[Symbol.toPrimitive] = _.constant(id);
+    fakeTimers.add(timer);
+    return timer;
+}
+
+function timerId(timer) {
+    return _.isObject(timer) ? timer.id : timer;
+}
+
+function create(options) {
+    //jshint maxstatements:35
+    var debug = require('debug')('deride:clock');
+    var now = _.get(options, 'now', 0);
+    var start = now;
+    var timers = {};
+    var nextId = 1;
+    var originals = {};
+    var self;
+
+    function currentTime() {
+        return now;
+    }
+
+    function schedule(callback, delay, args, interval) {
+        var id = nextId++;
+        timers[id] = {
+            id: id,
+            callback: callback,
+            args: args,
+            at: now + Math.max(delay || 0, 0),
+            interval: interval
+        };
+        debug('schedule', id, timers[id].at);
+        return createTimer(id);
+    }
+
+    function fakeSetTimeout(callback, delay) {
+        return schedule(callback, delay, _.drop(arguments, 2));
+    }
+
+    function fakeSetInterval(callback, delay) {
+        return schedule(callback, delay, _.drop(arguments, 2), Math.max(delay || 0, 1));
+    }
+
+    function fakeSetImmediate(callback) {
+        return schedule(callback, 0, _.drop(arguments, 1));
+    }
+
+    function isFake(timer) {
+        return _.isObject(timer) ? fakeTimers.has(timer) : _.has(timers, timer);
+    }
+
+    function clearer(name) {
+        return function(timer) {
+            if (isFake(timer)) {
+                delete timers[timerId(timer)];
+            } else if (originals[name]) {
+                originals[name].call(global, timer);
+            }
+        };
+    }
+
+    var clearTimer = clearer('clearTimeout');
+    var clearIntervalTimer = clearer('clearInterval');
+    var clearImmediateTimer = clearer('clearImmediate');
+
+    function hrtime(previous) {
+        var elapsed = now - start;
+        var seconds = Math.floor(elapsed / 1000);
+        var nanoseconds = Math.round((elapsed % 1000) * 1e6);
+        if (!previous) {
+            return [seconds, nanoseconds];
+        }
+        var difference = (seconds - previous[0]) * 1e9 + nanoseconds - previous[1];
+        return [Math.floor(difference / 1e9), difference % 1e9];
+    }
+    hrtime.bigint = function() {
+        //jshint newcap:false
+        return BigInt(Math.round((now - start) * 1e6));
+    };
+
+    function firstTimer(until) {
+        var due = _.filter(timers, function(timer) {
+            return timer.at <= until;
+        });
+        return _.head(_.sortBy(due, ['at', 'id']));
+    }
+
+    function fire(timer) {
+        debug('fire', timer.id, timer.at);
+        now = Math.max(now, timer.at);
+        if (timer.interval) {
+            timer.at += timer.interval;
+        } else {
+            delete timers[timer.id];
+        }
+        timer.callback.apply(null, timer.args);
+    }
+
+    function countFired(fired, timer, perInstant) {
+        var sameInstant = !perInstant || timer.at === fired.at;
+        return {
+            at: timer.at,
+            count: sameInstant ? fired.count + 1 : 1
+        };
+    }
+
+    function runUntil(until, perInstant) {
+        var fired = {
+            at: now,
+            count: 0
+        };
+        for (var timer = firstTimer(until); timer; timer = firstTimer(until)) {
+            fired = countFired(fired, timer, perInstant);
+            if (fired.count > MAX_TIMERS) {
+                throw new Error('Aborting after running ' + MAX_TIMERS + ' timers, assuming an infinite loop');
+            }
+            fire(timer);
+        }
+        return now;
+    }
+
+    function tick(milliseconds) {
+        var target = now + (milliseconds || 0);
+        runUntil(target, true);
+        now = target;
+        return now;
+    }
+
+    function next() {
+        var timer = firstTimer(Infinity);
+        if (timer) {
+            fire(timer);
+        }
+        return now;
+    }
+
+    function runAll() {
+        return runUntil(Infinity);
+    }
+
+    var fakes = {
+        setTimeout: fakeSetTimeout,
+        clearTimeout: clearTimer,
+        setInterval: fakeSetInterval,
+        clearInterval: clearIntervalTimer,
+        setImmediate: fakeSetImmediate,
+        clearImmediate: clearImmediateTimer,
+        Date: createDate(global.Date, currentTime)
+    };
+
+    function install() {
+        if (installedClock) {
+            throw new Error('a clock is already installed');
+        }
+        debug('install');
+        _.forEach(fakes, function(fake, name) {
+            originals[name] = global[name];
+            global[name] = fake;
+        });
+        originals.hrtime = process.hrtime;
+        process.hrtime = hrtime;
+        installedClock = self;
+        return self;
+    }
+
+    function uninstall() {
+        if (installedClock !== self) {
+            return self;
+        }
+        debug('uninstall');
+        process.hrtime = originals.hrtime;
+        _.forEach(_.omit(originals, 'hrtime'), function(original, name) {
+            global[name] = original;
+        });
+        installedClock = undefined;
+        return self;
+    }
+
+    self = Object.freeze({
+        install: install,
+        uninstall: uninstall,
+        tick: tick,
+        next: next,
+        runAll: runAll,
+        now: currentTime,
+        setTimeout: fakeSetTimeout,
+        clearTimeout: clearTimer,
+        setInterval: fakeSetInterval,
+        clearInterval: clearIntervalTimer,
+        setImmediate: fakeSetImmediate,
+        clearImmediate: clearImmediateTimer,
+        hrtime: hrtime,
+        Date: fakes.Date
+    });
+    return self;
+}
+
+module.exports = {
+    create: create,
+    installed: installed,
+    warp: warp
+};
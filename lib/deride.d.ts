@@ -0,0 +1,396 @@
+// Type definitions for deride
+
+export type AnyFunction = (...args: any[]) => any;
+
+type IsAny<T> = 0 extends 1 & T ? true : false;
+
+type MethodKeys<T> = {
+    [K in keyof T]-?: T[K] extends AnyFunction ? K : never;
+}[keyof T];
+
+type PropertyKeys<T> = Exclude<keyof T, MethodKeys<T>>;
+
+type MethodOf<T, K extends keyof T> = Extract<T[K], AnyFunction>;
+
+type LastOf<A extends any[]> = A extends [...any[], infer L] ? L : A extends Array<infer E> ? E : never;
+
+type ResolvedValue<R> = IsAny<R> extends true ? any : R extends PromiseLike<infer V> ? V : never;
+
+export type CallbackFunction<F extends AnyFunction> = IsAny<Parameters<F>> extends true ? AnyFunction :
+    [Extract<NonNullable<LastOf<Parameters<F>>>, AnyFunction>] extends [never] ? AnyFunction :
+    Extract<NonNullable<LastOf<Parameters<F>>>, AnyFunction>;
+
+type CallbackArgs<F extends AnyFunction> = Parameters<CallbackFunction<F>>;
+
+export interface Matcher {
+    readonly __derideMatcher: true;
+    test(value: any): boolean;
+    toString(): string;
+}
+
+export type Matchable<T> = T | Matcher;
+
+type MatchableArgs<A extends any[]> = {
+    [I in keyof A]: Matchable<A[I]>;
+};
+
+type AnyOrderArgs<A extends any[]> = Array<Matchable<A[number]>>;
+
+export type ErrorSpec = Error | string | (new (...args: any[]) => Error) | ((...args: any[]) => any);
+
+export type ErrorExpectation = Matcher | string | RegExp | (new (...args: any[]) => Error) | object;
+
+export interface PromiseLibrary {
+    resolve(value?: any): PromiseLike<any>;
+    reject(reason?: any): PromiseLike<any>;
+}
+
+export interface Options {
+    name?: string;
+    strict?: boolean;
+    deep?: boolean | number;
+    conformsTo?: Function | object;
+    Promise?: PromiseLibrary;
+}
+
+export interface WaitOptions {
+    timeout?: number;
+}
+
+export interface TimelineEntry {
+    method: string;
+    sequence: number;
+    args: any[];
+}
+
+export interface CallRecord<F extends AnyFunction = AnyFunction> {
+    args: Parameters<F>;
+    thisValue: any;
+    sequence: number;
+    startedAt: number;
+    endedAt?: number;
+    returned?: ReturnType<F>;
+    threw?: any;
+    resolved?: ResolvedValue<ReturnType<F>>;
+    rejected?: any;
+}
+
+export interface CalledAssertions<F extends AnyFunction = AnyFunction> {
+    times(number: number, err?: string): void;
+    never(err?: string): void;
+    once(err?: string): void;
+    twice(err?: string): void;
+    lt(number: number, err?: string): void;
+    lte(number: number, err?: string): void;
+    gt(number: number, err?: string): void;
+    gte(number: number, err?: string): void;
+    withArgs(...args: AnyOrderArgs<Parameters<F>>): void;
+    withArg(arg: Matchable<Parameters<F>[number]>): void;
+    withArgAt(index: number, arg: any): void;
+    withArgsStartingWith(...args: Partial<MatchableArgs<Parameters<F>>>): void;
+    withExactArgs(...args: MatchableArgs<Parameters<F>>): void;
+    alwaysWithArgs(...args: Partial<MatchableArgs<Parameters<F>>>): void;
+    matchExactly(...args: Partial<MatchableArgs<Parameters<F>>>): void;
+    withMatch(pattern: RegExp): void;
+    before(other: Expectations<any>, err?: string): void;
+    after(other: Expectations<any>, err?: string): void;
+    returned(value: Matchable<ReturnType<F>>): void;
+    alwaysReturned(value: Matchable<ReturnType<F>>): void;
+    threw(error?: ErrorExpectation): void;
+    resolvedWith(value: Matchable<ResolvedValue<ReturnType<F>>>): void;
+    rejectedWith(error?: ErrorExpectation): void;
+    waitFor(number: number, options?: WaitOptions): Promise<void>;
+    reset(): void;
+    not: NegatedAssertions<F>;
+}
+
+type Assertion = Exclude<keyof CalledAssertions, 'reset' | 'waitFor' | 'not'>;
+
+export type NegatedAssertions<F extends AnyFunction = AnyFunction> = {
+    [K in Assertion]: (...args: Parameters<CalledAssertions<F>[K]>) => Expectations<F>;
+};
+
+export type EventualAssertions<F extends AnyFunction = AnyFunction> = {
+    [K in Assertion]: (...args: Parameters<CalledAssertions<F>[K]>) => Promise<void>;
+};
+
+export interface InvocationAssertions<F extends AnyFunction = AnyFunction> {
+    withArg(arg: Matchable<Parameters<F>[number]>): Invocation<F>;
+    withArgs(...args: AnyOrderArgs<Parameters<F>>): Invocation<F>;
+    matchExactly(...args: Partial<MatchableArgs<Parameters<F>>>): Invocation<F>;
+    withMatch(pattern: RegExp): Invocation<F>;
+    returned(value: Matchable<ReturnType<F>>): Invocation<F>;
+    threw(error?: ErrorExpectation): Invocation<F>;
+    on(thisValue: any): Invocation<F>;
+}
+
+export type Invocation<F extends AnyFunction = AnyFunction> = Omit<CallRecord<F>, 'returned' | 'threw'> &
+    InvocationAssertions<F> & {
+        not: InvocationAssertions<F>;
+        returnValue?: ReturnType<F>;
+        error?: any;
+    };
+
+export interface Expectations<F extends AnyFunction = AnyFunction> {
+    called: CalledAssertions<F>;
+    eventually: {
+        (options?: WaitOptions): { called: EventualAssertions<F> };
+        called: EventualAssertions<F>;
+    };
+    callback: Expectations<CallbackFunction<F>>;
+    method: string;
+    readonly calls: Array<CallRecord<F>>;
+    readonly firstCall: Invocation<F>;
+    readonly lastCall: Invocation<F>;
+    invocation(index: number): Invocation<F>;
+    timeline(): TimelineEntry[];
+    unverified(): TimelineEntry[];
+}
+
+export interface SetupBehaviours<F extends AnyFunction = AnyFunction> {
+    toDoThis(func: (...args: Parameters<F>) => ReturnType<F>): void;
+    toReturn(value: ReturnType<F>): void;
+    toReturnInOrder(values: Array<ReturnType<F>>): void;
+    toReturnInOrder(...values: Array<ReturnType<F>>): void;
+    toThrow(error?: ErrorSpec, ...constructorArgs: any[]): void;
+    toCallbackWith(args: CallbackArgs<F>): void;
+    toCallbackWith(...args: CallbackArgs<F>): void;
+    toCallbackWithAsync(args: CallbackArgs<F>): void;
+    toCallbackWithAsync(...args: CallbackArgs<F>): void;
+    toCallbackWithError(err: any): void;
+    toCallbackAfter(milliseconds: number, ...args: CallbackArgs<F>): void;
+    toCallbackAt(index: number, ...args: any[]): void;
+    toCallbackProperty(name: string, ...args: any[]): void;
+    toEmit(event: string | symbol, ...args: any[]): void;
+    toTimeWarp(milliseconds: number): void;
+    toCallOriginal(): void;
+    allow(): void;
+    toIntercept(func: (...args: Parameters<F>) => void): Setup<F>;
+    when(predicate: (...args: Parameters<F>) => boolean): Setup<F>;
+    when(...args: MatchableArgs<Parameters<F>>): Setup<F>;
+    onCall(index: number): Setup<F>;
+    times(count: number): Setup<F>;
+    once(): Setup<F>;
+    twice(): Setup<F>;
+    onNextTick(): Setup<F>;
+    withDelay(milliseconds: number): Setup<F>;
+    reset(): void;
+}
+
+export interface PromiseBehaviours<F extends AnyFunction = AnyFunction> {
+    toResolve(value?: ResolvedValue<ReturnType<F>> | ((...args: Parameters<F>) => ResolvedValue<ReturnType<F>>)): void;
+    toResolveWith(value: ResolvedValue<ReturnType<F>>): void;
+    toResolveAfter(milliseconds: number, value: ResolvedValue<ReturnType<F>>): void;
+    toReject(reason?: any, ...constructorArgs: any[]): void;
+    toRejectWith(error: any, ...constructorArgs: any[]): void;
+    toRejectAfter(milliseconds: number, error: any): void;
+}
+
+type ReturnsPromise<F extends AnyFunction> = IsAny<ReturnType<F>> extends true ? true :
+    ReturnType<F> extends PromiseLike<any> ? true : false;
+
+export type Setup<F extends AnyFunction = AnyFunction> = SetupBehaviours<F> &
+    (ReturnsPromise<F> extends true ? PromiseBehaviours<F> : {});
+
+export interface DeclaredExpectation<F extends AnyFunction = AnyFunction> {
+    withArgs(...args: MatchableArgs<Parameters<F>>): DeclaredExpectation<F>;
+    times(number: number): DeclaredExpectation<F>;
+    never(): DeclaredExpectation<F>;
+    once(): DeclaredExpectation<F>;
+    twice(): DeclaredExpectation<F>;
+    returns(value: ReturnType<F>): DeclaredExpectation<F>;
+    throws(error?: ErrorSpec, ...constructorArgs: any[]): DeclaredExpectation<F>;
+    resolves(value: ResolvedValue<ReturnType<F>>): DeclaredExpectation<F>;
+    rejects(error: any, ...constructorArgs: any[]): DeclaredExpectation<F>;
+    does(func: (...args: Parameters<F>) => ReturnType<F>): DeclaredExpectation<F>;
+}
+
+export interface PropertyExpectations<V = any> {
+    get: Expectations<() => V>;
+    set: Expectations<(value: V) => void>;
+}
+
+export type PropertySetup<V = any> = Setup<() => V> & {
+    get: Setup<() => V>;
+    set: Setup<(value: V) => void>;
+};
+
+export type WrappedExpect<T> = {
+    [K in MethodKeys<T>]: Expectations<MethodOf<T, K>>;
+} & {
+    prop<K extends PropertyKeys<T>>(name: K): PropertyExpectations<T[K]>;
+    noMoreInteractions(): void;
+    nothingCalled(): void;
+};
+
+export type WrappedSetup<T> = {
+    [K in MethodKeys<T>]: Setup<MethodOf<T, K>>;
+} & {
+    prop<K extends PropertyKeys<T>>(name: K): PropertySetup<T[K]>;
+};
+
+export type WrappedMock<T> = {
+    readonly [K in MethodKeys<T>]: {
+        expects(): DeclaredExpectation<MethodOf<T, K>>;
+    };
+};
+
+export interface Events {
+    on(event: string | symbol, listener: (...args: any[]) => void): any;
+    once(event: string | symbol, listener: (...args: any[]) => void): any;
+    emit(event: string | symbol, ...args: any[]): boolean;
+}
+
+export type Wrapped<T> = T & Events & {
+    expect: WrappedExpect<T>;
+    setup: WrappedSetup<T>;
+    mock: WrappedMock<T>;
+    called: {
+        reset(): void;
+    };
+    verify(): void;
+};
+
+export type WrappedFunction<F extends AnyFunction = AnyFunction> = F & {
+    expect: Expectations<F>;
+    setup: Setup<F>;
+    expects(): DeclaredExpectation<F>;
+    verify(): void;
+};
+
+export type Constructor = new (...args: any[]) => any;
+
+export interface StubbedClass<C extends Constructor> {
+    new (...args: ConstructorParameters<C>): Wrapped<InstanceType<C>>;
+    (...args: ConstructorParameters<C>): Wrapped<InstanceType<C>>;
+    expect: {
+        constructor: Expectations<(...args: ConstructorParameters<C>) => Wrapped<InstanceType<C>>>;
+    };
+    setup: WrappedSetup<InstanceType<C>>;
+    instances: Array<Wrapped<InstanceType<C>>>;
+}
+
+export interface MockedModule<M> {
+    mock: M;
+    restore(): void;
+}
+
+export interface PropertyDescription {
+    name: string;
+    options: PropertyDescriptor;
+}
+
+export interface ClockOptions {
+    now?: number;
+}
+
+export type TimerCallback = (...args: any[]) => void;
+
+export interface Timer {
+    ref(): Timer;
+    unref(): Timer;
+    hasRef(): boolean;
+    [Symbol.toPrimitive](): number;
+}
+
+export interface HrTime {
+    (previous?: [number, number]): [number, number];
+    bigint(): bigint;
+}
+
+export interface Clock {
+    install(): Clock;
+    uninstall(): Clock;
+    tick(milliseconds?: number): number;
+    next(): number;
+    runAll(): number;
+    now(): number;
+    setTimeout(callback: TimerCallback, milliseconds?: number, ...args: any[]): Timer;
+    clearTimeout(timer?: any): void;
+    setInterval(callback: TimerCallback, milliseconds?: number, ...args: any[]): Timer;
+    clearInterval(timer?: any): void;
+    setImmediate(callback: TimerCallback, ...args: any[]): Timer;
+    clearImmediate(timer?: any): void;
+    hrtime: HrTime;
+    Date: DateConstructor;
+}
+
+export interface Configuration {
+    Promise?: PromiseLibrary;
+    colors?: boolean;
+}
+
+export function wrap<T extends object>(obj: T, options?: Options): Wrapped<T>;
+
+export function stub<T>(methods: ReadonlyArray<MethodKeys<T>>, properties?: PropertyDescription[] | Options,
+    options?: Options): Wrapped<T>;
+export function stub<M extends string>(methods: ReadonlyArray<M>, properties?: PropertyDescription[] | Options,
+    options?: Options): Wrapped<Record<M, AnyFunction>>;
+export function stub<C extends Constructor>(Class: C, properties?: PropertyDescription[] | Options,
+    options?: Options): Wrapped<InstanceType<C>>;
+export function stub<T extends object>(obj: T, properties?: PropertyDescription[] | Options,
+    options?: Options): Wrapped<T>;
+
+export function autoStub<T extends object = Record<string, AnyFunction>>(options?: Options): Wrapped<T>;
+export function autoStub<M extends string>(allowed: ReadonlyArray<M>, options?: Options): Wrapped<Record<M, AnyFunction>>;
+
+export function func<F extends AnyFunction = AnyFunction>(toWrap?: F, options?: Options): WrappedFunction<F>;
+
+export function stubClass<C extends Constructor>(Class: C, options?: Options): StubbedClass<C>;
+
+type ModuleMock<T> = T extends AnyFunction ? WrappedFunction<T> : Wrapped<T>;
+
+export function mockModule<T extends object>(request: string, replacement: T): MockedModule<ModuleMock<T>>;
+export function mockModule<T = any>(request: string): MockedModule<ModuleMock<T>>;
+
+export function clock(options?: ClockOptions): Clock;
+
+export function configure(options: Configuration): void;
+
+export interface Sandbox {
+    wrap: typeof wrap;
+    stub: typeof stub;
+    autoStub: typeof autoStub;
+    func: typeof func;
+    stubClass: typeof stubClass;
+    mockModule: typeof mockModule;
+    clock: typeof clock;
+    reset(): void;
+    resetBehaviours(): void;
+    verify(): void;
+    restore(): void;
+}
+
+export function sandbox(): Sandbox;
+
+export function inOrder(...expectations: Array<Expectations<any>>): void;
+
+export function verifyConformance(mock: object, Real: Function | object): void;
+
+export namespace match {
+    function any(): Matcher;
+    function anyString(): Matcher;
+    function anyNumber(): Matcher;
+    function anyBoolean(): Matcher;
+    function anyFunction(): Matcher;
+    function anyObject(): Matcher;
+    function anyArray(): Matcher;
+    function instanceOf(Class: Function): Matcher;
+    function objectContaining(partial: object): Matcher;
+    function arrayContaining(items: any[]): Matcher;
+    function regex(pattern: RegExp | string): Matcher;
+    function gt(bound: number): Matcher;
+    function gte(bound: number): Matcher;
+    function lt(bound: number): Matcher;
+    function lte(bound: number): Matcher;
+    function oneOf(...values: any[]): Matcher;
+    function not(expected: any): Matcher;
+    function and(...expectations: any[]): Matcher;
+    function or(...expectations: any[]): Matcher;
+    function where<T = any>(predicate: (value: T) => any, description?: string): Matcher;
+    function isMatcher(value: any): value is Matcher;
+    function hasMatcher(values: any): boolean;
+    function matches(expected: any, actual: any): boolean;
+    function matchesError(expected: any, err: any): boolean;
+    function describe(value: any): string;
+}
@@ -29,241 +29,1277 @@
 var _ = require('lodash');
 var assert = require('assert');
 var utils = require('./utils');
+var match = require('./match');
+var modules = require('./modules');
+var clock = require('./clock');
+var messages = require('./messages');
 _.mixin(utils.mixins);
 var events = require('events');
 var PREFIX = 'deride';
+var config = {
+    Promise: undefined,
+    colors: Boolean(process.stdout && process.stdout.isTTY)
+};
+var callSequence = 0;
+var EVENTUALLY_TIMEOUT = 1000;
+var realSetTimeout = setTimeout;
+var realClearTimeout = clearTimeout;
+var stringify = utils.quietly(JSON.stringify);
+var stubbedMethods = new WeakMap();
+var deepMapValues = utils.quietly(_.deepMapValues);
 //jshint maxstatements:31
-function Expectations(obj, method) {
-    var debug = require('debug')(PREFIX + ':expectations:' + method);
-    var timesCalled = 0;
-    var calledWithArgs = {};
+function checkArg(expected, values) {
+    //jshint maxcomplexity:4
+    if (match.isMatcher(expected)) {
+        return _.some(values, expected.test);
+    }
+    if (_.isArray(expected)) {
+        var jsonExpected = stringify(expected);
+        return _.some(values, function (v) { return stringify(v) === jsonExpected || match.matches(expected, v); });
+    }
+    if (_.isObject(expected)) {
+        return _.some(values, match.objectContaining(expected).test);
+    }
+    return _.includes(values, expected);
+}
 
-    function checkArg(expected, values) {
-        if (_.isArray(expected)) {
-            var jsonExpected = JSON.stringify(expected);
-            return _.some(_.filter(values, function (v) { return JSON.stringify(v) === jsonExpected; }));
-        }
-        if (_.isObject(expected)) {
-            return _.some(_.filter(values, expected));
+function matchesExactly(expectedArgs, args) {
+    return _.every(args, function(arg, index) {
+        return match.matches(expectedArgs[index], arg);
+    });
+}
+
+function objectPatternMatchProperties(obj, pattern) {
+    var matched = false;
+    deepMapValues(obj, function(i) {
+        if (!matched) {
+            matched = pattern.test(i);
         }
-        return _.includes(values, expected);
+    });
+    return matched;
+}
+
+function matchesPattern(args, pattern) {
+    return _.some(args, function(arg) {
+        return _.isObject(arg) ? objectPatternMatchProperties(arg, pattern) : pattern.test(arg);
+    });
+}
+
+function checkArgs(expectedArgs, callArgs, evaluator) {
+    var values = _.values(callArgs);
+    var argResults = [];
+    for (var argIndex = 0; argIndex < expectedArgs.length; argIndex++) {
+        var foundArg = checkArg(expectedArgs[argIndex], values);
+        argResults.push(foundArg);
     }
+    return evaluator(argResults);
+}
+
+function isPromise(value, Library) {
+    return _.some([Promise, config.Promise, Library], function(Type) {
+        return _.isFunction(Type) && value instanceof Type;
+    });
+}
 
-    function checkArgs(expectedArgs, callArgs, evaluator) {
-        var values = _.values(callArgs);
-        var argResults = [];
-        for (var argIndex = 0; argIndex < expectedArgs.length; argIndex++) {
-            var expected = expectedArgs[argIndex];
-            debug('expected', expected, 'in', values);
-            var foundArg = checkArg(expected, values);
-            argResults.push(foundArg);
+function describeRecords(history, options) {
+    return messages.describeCalls(history.label, history.records(), _.assign({
+        colors: config.colors
+    }, options));
+}
+
+function countAssertions(history) {
+    function describeCount(records) {
+        return _.isEmpty(records) ? '' : describeRecords(history);
+    }
+
+    function times(number, err) {
+        var records = history.records();
+        if (!err) {
+            err = 'Expected ' + history.label + ' to be called ' + utils.humanise(number) + ' but was ' + records.length + describeCount(records);
         }
-        return evaluator(argResults);
+        assert.equal(records.length, number, err);
+        history.verify(records);
     }
 
-    function checkAnyArgs(expectedArgs, callArgs) {
-        return checkArgs(expectedArgs, callArgs, _.some);
+    function comparing(predicate, friendly) {
+        return function(number, err) {
+            var records = history.records();
+            if (!err) {
+                err = 'Expected ' + history.label + ' to be called ' + friendly + ' ' + utils.humanise(number) + ' but was ' + records.length + describeCount(records);
+            }
+            assert.ok(predicate(records.length, number), err);
+            history.verify(records);
+        };
+    }
+
+    return {
+        times: times,
+        never: _.partial(times, 0),
+        once: _.partial(times, 1),
+        twice: _.partial(times, 2),
+        lt: comparing(_.lt, 'less than'),
+        lte: comparing(_.lte, 'less than or equal to'),
+        gt: comparing(_.gt, 'greater than'),
+        gte: comparing(_.gte, 'greater than or equal to')
+    };
+}
+
+function argumentAssertions(history) {
+    var label = history.label;
+
+    function assertArgsWithEvaluator(args, evaluator, calls) {
+        var matching = _.filter(history.records(), function(record) {
+            history.debug('checking', record.args, args);
+            return checkArgs(args, record.args, evaluator);
+        });
+        assert(!_.isEmpty(matching), 'Expected ' + label + ' to be called with: ' + messages.describeArgs(args) + calls);
+        history.verify(matching);
+    }
+
+    function assertSomeCall(predicate, description, diff) {
+        var matching = _.filter(history.records(), predicate);
+        assert(!_.isEmpty(matching), 'Expected ' + label + ' to be called ' + description + describeRecords(history, diff));
+        history.verify(matching);
     }
 
     function withArgs() {
         var args = _.values(arguments);
-        assertArgsWithEvaluator(calledWithArgs, args, _.every);
+        assertArgsWithEvaluator(args, _.every, describeRecords(history, {
+            expected: args,
+            unordered: true,
+            compare: function(expected, actual) {
+                return checkArg(expected, [actual]);
+            }
+        }));
     }
 
     function withSingleArg(arg) {
         var args = [arg];
-        assertArgsWithEvaluator(calledWithArgs, args, _.some);
+        assertArgsWithEvaluator(args, _.some, describeRecords(history));
     }
 
     function withMatch(pattern) {
-        debug(calledWithArgs);
-        var matched = false;
-        _.forEach(calledWithArgs, function(args) {
-            if (matched) {
-                return;
-            }
-            _.forEach(_.values(args), function(arg) {
-                if (matched) {
-                    return;
-                }
-                if (_.isObject(arg)) {
-                    matched = objectPatternMatchProperties(arg, pattern);
-                    debug('is object match?', matched, arg, pattern);
-                    return;
-                }
-                matched = pattern.test(arg);
-                debug('is match?', matched, arg, pattern);
-            });
-        });
-        if (!matched) {
-            assert.fail(calledWithArgs, pattern, 'Expected ' + method + ' to be called matching: ' + pattern);
-        }
+        history.debug(_.map(history.records(), 'args'));
+        assertSomeCall(function(record) {
+            return matchesPattern(record.args, pattern);
+        }, 'matching: ' + pattern);
     }
-    
+
     function matchExactly() {
         var expectedArgs = _.values(arguments);
-        var matched = true;
-        _.forEach(calledWithArgs, function (args) {
-            _.forEach(_.values(args), function (arg, i) {
-                if (!_.isEqual(arg, expectedArgs[i])) {
-                    matched = false;
-                    debug('is object match?', matched, arg, expectedArgs[i]);
-                    return;
-                }
-                debug('is match?', matched, arg, expectedArgs[i]);
-            });
+        var records = history.records();
+        var matched = _.every(records, function(record) {
+            return matchesExactly(expectedArgs, record.args);
         });
         if (!matched) {
-            assert.fail(calledWithArgs, expectedArgs, 'Expected ' + method + ' to be called matchExactly args' + require('util').inspect(expectedArgs, {depth: 10}));
+            assert.fail('Expected ' + label + ' to be called matchExactly args: ' + messages.describeArgs(expectedArgs) + describeRecords(history, {
+                expected: expectedArgs,
+                exact: true
+            }));
         }
+        history.verify(records);
     }
-    
-    function objectPatternMatchProperties(obj, pattern) {
-        var matched = false;
-        _.deepMapValues(obj, function(i) {
-            if (!matched) {
-                matched = pattern.test(i);
-            }
-            debug(i, matched);
+
+    function withArgAt(index, expected) {
+        var expectedArgs = _.times(index, match.any).concat([expected]);
+        assertSomeCall(startingWith(expectedArgs), 'with argument ' + index + ': ' + match.describe(expected), {
+            expected: expectedArgs
         });
-        return matched;
     }
 
-    function assertArgsWithEvaluator(argsToCheck, args, evaluator) {
-        var callResults = [];
-        _.forEach(argsToCheck, function(value) {
-            debug('checking', value, args);
-            var argResult = checkArgs(args, value, evaluator);
-            callResults.push(argResult);
+    function withArgsStartingWith() {
+        var expectedArgs = _.toArray(arguments);
+        assertSomeCall(startingWith(expectedArgs), 'with arguments starting with: ' + messages.describeArgs(expectedArgs), {
+            expected: expectedArgs
         });
-        var result = _.some(callResults);
-        assert(result, 'Expected ' + method + ' to be called with: ' + args.join(', '));
     }
 
-    function withArg(args) {
-        return function(arg) {
-            assert(checkAnyArgs([arg], args));
-        };
+    function withExactArgs() {
+        var expectedArgs = _.toArray(arguments);
+        assertSomeCall(exactly(expectedArgs), 'with exactly: ' + messages.describeArgs(expectedArgs), {
+            expected: expectedArgs,
+            exact: true
+        });
+    }
+
+    function alwaysWithArgs() {
+        var expectedArgs = _.toArray(arguments);
+        var records = history.records();
+        var always = !_.isEmpty(records) && _.every(records, startingWith(expectedArgs));
+        assert(always, 'Expected ' + label + ' to always be called with: ' + messages.describeArgs(expectedArgs) + describeRecords(history, {
+            expected: expectedArgs
+        }));
+        history.verify(records);
+    }
+
+    return {
+        matchExactly: matchExactly,
+        withArgs: withArgs,
+        withArg: withSingleArg,
+        withArgAt: withArgAt,
+        withArgsStartingWith: withArgsStartingWith,
+        withExactArgs: withExactArgs,
+        alwaysWithArgs: alwaysWithArgs,
+        withMatch: withMatch
+    };
+}
+
+function outcomeAssertions(history) {
+    function assertSomeRecord(predicate, description) {
+        var matching = _.filter(history.records(), predicate);
+        assert(!_.isEmpty(matching), 'Expected ' + history.label + ' to have ' + description);
+        history.verify(matching);
+    }
+
+    function calledReturned(expected) {
+        assertSomeRecord(returnedMatching(expected), 'returned: ' + match.describe(expected));
+    }
+
+    function alwaysReturned(expected) {
+        var records = history.records();
+        var always = !_.isEmpty(records) && _.every(records, returnedMatching(expected));
+        assert(always, 'Expected ' + history.label + ' to have always returned: ' + match.describe(expected));
+        history.verify(records);
+    }
+
+    function calledThrew(expected) {
+        assertSomeRecord(threwMatching(expected), 'thrown: ' + describeError(expected));
+    }
+
+    function resolvedWith(expected) {
+        assertSomeRecord(resolvedMatching(expected), 'resolved with: ' + match.describe(expected));
+    }
+
+    function rejectedWith(expected) {
+        assertSomeRecord(rejectedMatching(expected), 'rejected with: ' + describeError(expected));
+    }
+
+    return {
+        returned: calledReturned,
+        alwaysReturned: alwaysReturned,
+        threw: calledThrew,
+        resolvedWith: resolvedWith,
+        rejectedWith: rejectedWith
+    };
+}
+
+function Waiters(debug) {
+    var waiters = [];
+
+    function isSatisfied(check) {
+        try {
+            check();
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    function notify() {
+        _.forEach(_.filter(waiters, function(waiter) {
+            return isSatisfied(waiter.check);
+        }), function(waiter) {
+            debug('waiter satisfied');
+            _.pull(waiters, waiter);
+            realClearTimeout(waiter.timer);
+            waiter.resolve();
+        });
+    }
+
+    function waitUntil(check, options) {
+        var timeout = _.get(options, 'timeout', EVENTUALLY_TIMEOUT);
+        return new Promise(function(resolve, reject) {
+            var waiter = {
+                check: check,
+                resolve: resolve
+            };
+            waiter.timer = realSetTimeout(function() {
+                debug('waiter timed out', timeout);
+                _.pull(waiters, waiter);
+                try {
+                    check();
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            }, timeout);
+            waiters.push(waiter);
+            notify();
+        });
     }
 
+    return {
+        notify: notify,
+        waitUntil: waitUntil
+    };
+}
+
+function Expectations(obj, method, label, options) {
+    var debug = require('debug')(PREFIX + ':expectations:' + method);
+    var callback = _.get(options, 'callback');
+    var records = [];
+    var verified = [];
+    var waiters = new Waiters(debug);
+    label = label || method;
+    var history = {
+        label: label,
+        debug: debug,
+        records: function() {
+            return records;
+        },
+        verify: verify
+    };
+    var counts = countAssertions(history);
+
     function invocation(index) {
-        if (!(index.toString() in calledWithArgs)) {
+        var position = index < 0 ? records.length + index : index;
+        if (!(position in records)) {
             throw new Error('invocation out of range');
         }
-        var arg = calledWithArgs[index.toString()];
+        return new Invocation(label, records[position], position, verify);
+    }
+
+    function calledBefore(other, err) {
+        assertInOrder([self, other], err);
+    }
+
+    function calledAfter(other, err) {
+        assertInOrder([other, self], err);
+    }
+
+    function timelineEntry(record) {
         return {
-            withArg: withArg(arg)
+            method: label,
+            sequence: record.sequence,
+            args: record.args
         };
     }
 
-    function times(number, err) {
-        if (!err) {
-            err = 'Expected ' + method + ' to be called ' + utils.humanise(number) + ' but was ' + timesCalled;
-        }
-        assert.equal(timesCalled, number, err);
+    function timeline() {
+        return _.map(records, timelineEntry);
     }
 
-    function calledLteGte(number, predicate, friendly, err) {
-        if (!err) {
-            err = 'Expected ' + method + ' to be called ' + friendly + ' ' + utils.humanise(number) + ' but was ' + timesCalled;
+    function reset() {
+        records = [];
+        verified = [];
+        if (callback) {
+            callback.called.reset();
         }
-        assert.ok(predicate(timesCalled, number), err);
     }
 
-    function calledLt(number, err) {
-        calledLteGte(number, _.lt, 'less than', err);
+    function verify(verifiedRecords) {
+        verified = _.union(verified, verifiedRecords);
     }
 
-    function calledLte(number, err) {
-        calledLteGte(number, _.lte, 'less than or equal to', err);
+    function unverified() {
+        return _.map(_.difference(records, verified), timelineEntry);
     }
 
-    function calledGt(number, err) {
-        calledLteGte(number, _.gt, 'greater than', err);
+    function record(thisValue, args) {
+        var callRecord = {
+            args: _.toArray(args),
+            thisValue: thisValue,
+            startedAt: Date.now(),
+            sequence: ++callSequence
+        };
+        records.push(callRecord);
+        return callRecord;
     }
 
-    function calledGte(number, err) {
-        calledLteGte(number, _.gte, 'greater than or equal to', err);
+    function call() {
+        //jshint validthis:true
+        record(this, arguments);
+        waiters.notify();
     }
 
-    function never(err) {
-        times(0, err);
+    function invoke(thisValue, args, func) {
+        var callRecord = record(thisValue, args);
+        try {
+            callRecord.returned = func.apply(thisValue, args);
+            return trackSettlement(callRecord);
+        } catch (err) {
+            callRecord.threw = err;
+            throw err;
+        } finally {
+            callRecord.endedAt = Date.now();
+            waiters.notify();
+        }
     }
 
-    function calledOnce(err) {
-        times(1, err);
+    function calls() {
+        return records.slice();
     }
 
-    function calledTwice(err) {
-        times(2, err);
+    function trackSettlement(callRecord) {
+        var returned = callRecord.returned;
+        if (!isPromise(returned, _.get(options, 'Promise'))) {
+            return returned;
+        }
+        returned.then(function(value) {
+            callRecord.resolved = value;
+            waiters.notify();
+        }, function(err) {
+            callRecord.rejected = err;
+            waiters.notify();
+        });
+        return returned;
     }
 
-    function reset() {
-        timesCalled = 0;
-        calledWithArgs = {};
+    function waitFor(number, options) {
+        return waiters.waitUntil(function() {
+            counts.gte(number);
+        }, options);
     }
 
-    function call() {
-        calledWithArgs[timesCalled++] = arguments;
+    function eventually(options) {
+        var assertions = _.omit(self.called, ['reset', 'not', 'waitFor']);
+        return {
+            called: _.mapValues(assertions, function(assertion) {
+                return function() {
+                    var args = arguments;
+                    return waiters.waitUntil(function() {
+                        assertion.apply(null, args);
+                    }, options);
+                };
+            })
+        };
     }
 
-    function negate(func) {
+    function negate(name, func) {
         return function() {
             var args = _.values(arguments);
             try {
-                func.call(null, args);
+                func.apply(null, args);
             } catch (err) {
                 return self;
             }
-            assert(false);
+            assert.fail('Expected ' + label + ' not to satisfy called.' + messages.describeCall(name, args) + describeRecords(history));
         };
     }
 
     function addNotMethods(obj) {
         var methods = {};
-        var calledMethods = _.omit(utils.methods(obj.called), 'reset');
+        var calledMethods = _.without(utils.methods(obj.called), 'reset', 'waitFor');
         _.forEach(calledMethods, function(method) {
-            methods[method] = negate(obj.called[method]);
+            methods[method] = negate(method, obj.called[method]);
         });
         obj.called.not = methods;
         return obj;
     }
 
     var self = {
-        called: {
-            times: times,
-            never: never,
-            once: calledOnce,
-            twice: calledTwice,
-            lt: calledLt,
-            lte: calledLte,
-            gt: calledGt,
-            gte: calledGte,
+        called: _.assign({}, counts, argumentAssertions(history), {
+            before: calledBefore,
+            after: calledAfter
+        }, outcomeAssertions(history), {
             reset: reset,
-            matchExactly: matchExactly,
-            withArgs: withArgs,
-            withArg: withSingleArg,
-            withMatch: withMatch
-        },
+            waitFor: waitFor
+        }),
+        eventually: eventually,
+        callback: callback,
+        method: label,
         invocation: invocation,
-        call: call
+        timeline: timeline,
+        unverified: unverified,
+        call: call,
+        invoke: invoke
     };
 
     return (function() {
+        eventually.called = eventually().called;
+        Object.defineProperty(self, 'calls', {
+            enumerable: true,
+            get: calls
+        });
+        Object.defineProperty(self, 'firstCall', {
+            get: _.partial(invocation, 0)
+        });
+        Object.defineProperty(self, 'lastCall', {
+            get: _.partial(invocation, -1)
+        });
         return Object.freeze(addNotMethods(self));
     }());
 }
 
-function Setup(obj, method, emitter) {
+function startingWith(expectedArgs) {
+    return function(record) {
+        return _.every(expectedArgs, function(expected, index) {
+            return index < record.args.length && match.matches(expected, record.args[index]);
+        });
+    };
+}
+
+function exactly(expectedArgs) {
+    var matchesStart = startingWith(expectedArgs);
+    return function(record) {
+        return record.args.length === expectedArgs.length && matchesStart(record);
+    };
+}
+
+var recordedOutcomes = {
+    returned: 'returnValue',
+    threw: 'error'
+};
+
+function Invocation(label, record, position, verify) {
+    var description = label + ' invocation ' + position;
+
+    function check(passed, expectation, diff) {
+        assert(passed, 'Expected ' + description + ' to ' + expectation + messages.describeInvocation(description, label, record, _.assign({
+            colors: config.colors
+        }, diff)));
+        verify([record]);
+        return self;
+    }
+
+    function withArg(arg) {
+        return check(checkArgs([arg], record.args, _.some), 'be called with: ' + match.describe(arg));
+    }
+
+    function withArgs() {
+        var expectedArgs = _.toArray(arguments);
+        return check(checkArgs(expectedArgs, record.args, _.every), 'be called with: ' + messages.describeArgs(expectedArgs), {
+            expected: expectedArgs,
+            unordered: true,
+            compare: function(expected, actual) {
+                return checkArg(expected, [actual]);
+            }
+        });
+    }
+
+    function matchExactly() {
+        var expectedArgs = _.toArray(arguments);
+        return check(matchesExactly(expectedArgs, record.args), 'be called matchExactly args: ' + messages.describeArgs(expectedArgs), {
+            expected: expectedArgs,
+            exact: true
+        });
+    }
+
+    function withMatch(pattern) {
+        return check(matchesPattern(record.args, pattern), 'be called matching: ' + pattern);
+    }
+
+    function returned(expected) {
+        return check(returnedMatching(expected)(record), 'have returned: ' + match.describe(expected));
+    }
+
+    function threw(expected) {
+        return check(threwMatching(expected)(record), 'have thrown: ' + describeError(expected));
+    }
+
+    function on(thisValue) {
+        return check(match.isMatcher(thisValue) ? thisValue.test(record.thisValue) : record.thisValue === thisValue,
+            'be called on: ' + match.describe(thisValue));
+    }
+
+    function negate(name, func) {
+        return function() {
+            var args = _.toArray(arguments);
+            try {
+                func.apply(null, args);
+            } catch (err) {
+                return self;
+            }
+            assert.fail('Expected ' + description + ' not to satisfy ' + messages.describeCall(name, args) +
+                messages.describeInvocation(description, label, record));
+        };
+    }
+
+    var assertions = {
+        withArg: withArg,
+        withArgs: withArgs,
+        matchExactly: matchExactly,
+        withMatch: withMatch,
+        returned: returned,
+        threw: threw,
+        on: on
+    };
+    var fields = _.mapKeys(record, function(value, key) {
+        return _.get(recordedOutcomes, key, key);
+    });
+    var self = _.assign(fields, assertions, {
+        not: Object.freeze(_.mapValues(assertions, function(assertion, name) {
+            return negate(name, assertion);
+        }))
+    });
+    return Object.freeze(self);
+}
+
+function returnedMatching(expected) {
+    return function(record) {
+        return _.has(record, 'returned') && match.matches(expected, record.returned);
+    };
+}
+
+function threwMatching(expected) {
+    return function(record) {
+        return _.has(record, 'threw') && match.matchesError(expected, record.threw);
+    };
+}
+
+function resolvedMatching(expected) {
+    return function(record) {
+        return _.has(record, 'resolved') && match.matches(expected, record.resolved);
+    };
+}
+
+function rejectedMatching(expected) {
+    return function(record) {
+        return _.has(record, 'rejected') && match.matchesError(expected, record.rejected);
+    };
+}
+
+function describeError(expected) {
+    return expected === undefined ? 'an error' : match.describe(expected);
+}
+
+function calledInOrder(expectations) {
+    var sequence = 0;
+    return _.every(expectations, function(expectation) {
+        var next = _.find(expectation.timeline(), function(call) {
+            return call.sequence > sequence;
+        });
+        sequence = _.get(next, 'sequence');
+        return next !== undefined;
+    });
+}
+
+function assertInOrder(expectations, err) {
+    if (!err) {
+        var methods = _.map(expectations, 'method');
+        err = 'Expected ' + methods.join(', then ') + ' to be called in order, but the calls were:' +
+            messages.describeTimeline(mergedTimeline(_.uniq(expectations), 'timeline'));
+    }
+    assert.ok(calledInOrder(expectations), err);
+}
+
+function inOrder() {
+    assertInOrder(_.toArray(arguments));
+}
+
+function mergedTimeline(expectations, name) {
+    return _.sortBy(_.flatten(_.invokeMap(expectations, name)), 'sequence');
+}
+
+function assertNoMoreInteractions(expectations) {
+    var calls = mergedTimeline(expectations, 'unverified');
+    assert.ok(_.isEmpty(calls), 'Expected no more interactions, but the unverified calls were:' +
+        messages.describeTimeline(calls));
+}
+
+function assertNothingCalled(expectations) {
+    var calls = mergedTimeline(expectations, 'timeline');
+    assert.ok(_.isEmpty(calls), 'Expected nothing to be called, but the calls were:' +
+        messages.describeTimeline(calls));
+}
+
+function describeDeclaration(expectation, declared, count) {
+    var args = declared.args ? ' with: ' + messages.describeArgs(declared.args) : '';
+    var expected = declared.times === undefined ? 'at least once' : utils.humanise(declared.times);
+    return 'Expected ' + expectation.method + ' to be called' + args + ' ' + expected + ' but was ' + count +
+        messages.describeCalls(expectation.method, expectation.calls, {
+            colors: config.colors
+        });
+}
+
+function serializeArgs(args) {
+    return stringify(args);
+}
+
+function argumentsMatcher(expectedArgs) {
+    if (match.hasMatcher(expectedArgs)) {
+        return function(args) {
+            return _.every(expectedArgs, function(expected, index) {
+                return match.matches(expected, args[index]);
+            });
+        };
+    }
+    var key = serializeArgs(expectedArgs);
+    return function(args) {
+        return serializeArgs(args) === key;
+    };
+}
+
+function declareExpectation(expectation, setup) {
+    var declared = {};
+    var builder = {};
+
+    function chain(func) {
+        return function() {
+            func.apply(null, arguments);
+            return builder;
+        };
+    }
+
+    function behaviour(name) {
+        return chain(function() {
+            var target = declared.args ? setup.when.apply(null, declared.args) : setup;
+            target[name].apply(null, arguments);
+            declared.behaviour = name;
+        });
+    }
+
+    function setTimes(number) {
+        declared.times = number;
+    }
+
+    function withArgs() {
+        if (declared.behaviour) {
+            throw new Error('withArgs must come before ' + declared.behaviour + ' in an expectation of ' + expectation.method);
+        }
+        declared.args = _.toArray(arguments);
+    }
+
+    function countCalls() {
+        var matches = declared.args ? argumentsMatcher(declared.args) : _.constant(true);
+        return _.filter(expectation.calls, function(record) {
+            return matches(record.args);
+        }).length;
+    }
+
+    function verify() {
+        var count = countCalls();
+        var met = declared.times === undefined ? count > 0 : count === declared.times;
+        return met ? undefined : describeDeclaration(expectation, declared, count);
+    }
+
+    _.assign(builder, {
+        withArgs: chain(withArgs),
+        times: chain(setTimes),
+        never: chain(_.partial(setTimes, 0)),
+        once: chain(_.partial(setTimes, 1)),
+        twice: chain(_.partial(setTimes, 2)),
+        returns: behaviour('toReturn'),
+        throws: behaviour('toThrow'),
+        resolves: behaviour('toResolveWith'),
+        rejects: behaviour('toRejectWith'),
+        does: behaviour('toDoThis')
+    });
+    return {
+        builder: Object.freeze(builder),
+        verify: verify
+    };
+}
+
+function verifyDeclarations(declarations) {
+    var failures = _.compact(_.invokeMap(declarations, 'verify'));
+    if (!_.isEmpty(failures)) {
+        assert.fail(failures.length + ' of ' + declarations.length + ' declared expectations were not met:' +
+            _.map(failures, function(failure) {
+                return '\n  ' + failure.replace(/\n/g, '\n  ');
+            }).join(''));
+    }
+}
+
+function describeType(Real) {
+    return _.isFunction(Real) ? Real.name || 'anonymous' : 'the real object';
+}
+
+function describeRealMethod(Real, name) {
+    return _.isFunction(Real) ? describeType(Real) + '.' + name : 'the real ' + name;
+}
+
+function realMethods(Real) {
+    return _.isFunction(Real) ? utils.prototypeMethods(Real) : utils.methods(Real);
+}
+
+function stubbedBy(mock) {
+    if (!stubbedMethods.has(mock)) {
+        throw new Error('Only mocks created by deride can be checked for conformance');
+    }
+    return stubbedMethods.get(mock);
+}
+
+function conformanceFailures(mock, Real) {
+    var target = _.isFunction(Real) ? Real.prototype : Real;
+    var type = describeType(Real);
+    var stubbed = stubbedBy(mock);
+    var methods = stubbed.methods();
+    var missing = _.map(_.filter(realMethods(Real), stubbed.lacks), function(name) {
+        return name + ' is missing from the mock';
+    });
+    return _.flatMap(_.keys(methods), function(name) {
+        var real = _.get(target, name);
+        if (!_.isFunction(real)) {
+            return [name + ' is not a method of ' + type];
+        }
+        return _.map(_.filter(_.get(methods[name], 'calls'), function(record) {
+            return record.args.length > real.length;
+        }), function(record) {
+            return messages.describeCall(name, record.args) + ' passed ' + record.args.length +
+                ' arguments but ' + describeRealMethod(Real, name) + ' takes ' + real.length;
+        });
+    }).concat(missing);
+}
+
+function verifyConformance(mock, Real) {
+    var failures = conformanceFailures(mock, Real);
+    if (!_.isEmpty(failures)) {
+        assert.fail('Expected the mock to conform to ' + describeType(Real) + ', but:' +
+            _.map(failures, function(failure) {
+                return '\n  ' + failure;
+            }).join(''));
+    }
+}
+
+function conformanceCheck(options) {
+    var Real = _.get(options, 'conformsTo');
+    if (Real === undefined) {
+        return _.noop;
+    }
+    return function(mock) {
+        verifyConformance(mock, Real);
+    };
+}
+
+function isErrorClass(value) {
+    return value === Error || _.get(value, 'prototype') instanceof Error;
+}
+
+function errorBuilder(spec, constructorArgs, fallback) {
+    if (isErrorClass(spec)) {
+        return function() {
+            return new (Function.prototype.bind.apply(spec, [null].concat(constructorArgs)))();
+        };
+    }
+    if (_.isFunction(spec)) {
+        return function(thisValue, args) {
+            return spec.apply(thisValue, args);
+        };
+    }
+    return fallback;
+}
+
+function promiseLibrary(options) {
+    return _.get(options, 'Promise') || config.Promise || Promise;
+}
+
+function getArgArray(argArray) {
+    if (argArray.length === 1 && _.isArray(argArray[0])) {
+        return argArray[0];
+    }
+    return argArray;
+}
+
+function schedule(timing, callback) {
+    if (timing === 'nextTick') {
+        return process.nextTick(callback);
+    }
+    if (_.isNumber(timing)) {
+        return global.setTimeout(callback, timing);
+    }
+    return global.setImmediate(callback);
+}
+
+function callbackBehaviours(context) {
+    var method = context.method;
+    var debug = context.debug;
+    var pendingTiming;
+
+    function invokeCallback(callback, thisValue, args) {
+        var recorder = _.get(context.options, 'callbacks');
+        if (!recorder) {
+            return callback.apply(thisValue, args);
+        }
+        return recorder.invoke(thisValue, args, callback);
+    }
+
+    function lastCallback(args) {
+        var callback = _.findLast(args, _.isFunction);
+        if (!callback) {
+            throw new Error(method + ' was not called with a callback');
+        }
+        return callback;
+    }
+
+    function callbackAt(index, args) {
+        if (!_.isFunction(args[index])) {
+            throw new Error('argument ' + index + ' of ' + method + ' is not a callback');
+        }
+        return args[index];
+    }
+
+    function toCallbackWith() {
+        var args = getArgArray([].slice.call(arguments));
+        var func = function() {
+            debug('toCallbackWith', args);
+            invokeCallback(lastCallback(arguments), null, args);
+        };
+        context.invoke(func);
+    }
+
+    function toCallbackWithError(err) {
+        var func = function() {
+            debug('toCallbackWithError', err);
+            invokeCallback(lastCallback(arguments), null, [err]);
+        };
+        context.invoke(func);
+    }
+
+    function toCallbackAt(index) {
+        var args = getArgArray(_.drop(arguments, 1));
+        var func = function() {
+            debug('toCallbackAt', index, args);
+            invokeCallback(callbackAt(index, arguments), null, args);
+        };
+        context.invoke(func);
+    }
+
+    function toCallbackProperty(name) {
+        var args = getArgArray(_.drop(arguments, 1));
+        var func = function() {
+            debug('toCallbackProperty', name, args);
+            var target = _.find(arguments, function(arg) {
+                return _.isObject(arg) && _.isFunction(arg[name]);
+            });
+            if (!target) {
+                throw new Error(method + ' was not called with a ' + name + ' callback');
+            }
+            invokeCallback(target[name], target, args);
+        };
+        context.invoke(func);
+    }
+
+    function onNextTick() {
+        pendingTiming = 'nextTick';
+        return context.chain();
+    }
+
+    function scheduledCallback(timing, args) {
+        return function() {
+            debug('scheduled callback', timing, args);
+            var callback = lastCallback(arguments);
+            schedule(timing, function() {
+                invokeCallback(callback, null, args);
+            });
+        };
+    }
+
+    function toCallbackWithAsync() {
+        var args = getArgArray([].slice.call(arguments));
+        var timing = pendingTiming;
+        pendingTiming = undefined;
+        context.invoke(scheduledCallback(timing, args));
+    }
+
+    function toCallbackAfter(milliseconds) {
+        var args = getArgArray(_.drop(arguments, 1));
+        context.invoke(scheduledCallback(milliseconds, args));
+    }
+
+    return {
+        behaviours: {
+            toCallbackWith: toCallbackWith,
+            toCallbackWithAsync: toCallbackWithAsync,
+            toCallbackWithError: toCallbackWithError,
+            toCallbackAt: toCallbackAt,
+            toCallbackProperty: toCallbackProperty,
+            toCallbackAfter: toCallbackAfter,
+            onNextTick: onNextTick
+        },
+        reset: function() {
+            pendingTiming = undefined;
+        }
+    };
+}
+
+function delayBehaviours(context) {
+    var debug = context.debug;
+    var pendingDelay;
+
+    function withDelay(milliseconds) {
+        pendingDelay = milliseconds;
+        return context.chain();
+    }
+
+    function delayed(milliseconds, func) {
+        return function() {
+            var thisValue = this;
+            var args = arguments;
+            debug('delaying', milliseconds);
+            return promiseLibrary(context.options).resolve(new Promise(function(resolve, reject) {
+                global.setTimeout(function() {
+                    try {
+                        resolve(func.apply(thisValue, args));
+                    } catch (err) {
+                        reject(err);
+                    }
+                }, milliseconds);
+            }));
+        };
+    }
+
+    function applyDelay(func) {
+        if (pendingDelay === undefined) {
+            return func;
+        }
+        var milliseconds = pendingDelay;
+        pendingDelay = undefined;
+        return delayed(milliseconds, func);
+    }
+
+    function toResolveAfter(milliseconds, value) {
+        withDelay(milliseconds).toResolveWith(value);
+    }
+
+    function toRejectAfter(milliseconds, err) {
+        withDelay(milliseconds).toRejectWith(err);
+    }
+
+    return {
+        behaviours: {
+            withDelay: withDelay,
+            toResolveAfter: toResolveAfter,
+            toRejectAfter: toRejectAfter
+        },
+        applyDelay: applyDelay,
+        reset: function() {
+            pendingDelay = undefined;
+        }
+    };
+}
+
+function promiseBehaviours(context) {
+    var obj = context.obj;
+    var debug = context.debug;
+
+    function lazyValue(arg, args) {
+        return _.isFunction(arg) ? arg.apply(obj, args) : arg;
+    }
+
+    function toRejectWith(arg) {
+        var build = errorBuilder(arg, _.drop(arguments, 1), _.constant(arg));
+        var func = function() {
+            debug('toRejectWith', arg, arguments);
+            return promiseLibrary(context.options).reject(build(obj, arguments));
+        };
+        context.invoke(func);
+    }
+
+    function toResolveWith(arg) {
+        var func = function() {
+            debug('toResolveWith', arg, arguments);
+            return promiseLibrary(context.options).resolve(arg);
+        };
+        context.invoke(func);
+    }
+
+    function toReject(arg) {
+        var build = errorBuilder(arg, _.drop(arguments, 1), _.constant(arg));
+        var func = function() {
+            debug('toReject', arg, arguments);
+            return promiseLibrary(context.options).reject(build(obj, arguments));
+        };
+        context.invoke(func);
+    }
+
+    function toResolve(arg) {
+        var func = function() {
+            debug('toResolve', arg, arguments);
+            return promiseLibrary(context.options).resolve(lazyValue(arg, arguments));
+        };
+        context.invoke(func);
+    }
+
+    return {
+        toResolve: toResolve,
+        toResolveWith: toResolveWith,
+        toReject: toReject,
+        toRejectWith: toRejectWith
+    };
+}
+
+function sequenceBehaviours(context) {
+    var debug = context.debug;
+    var sequencedCalls = [];
+    var pendingSequence;
+
+    function toReturnInOrder() {
+        var values = getArgArray([].slice.call(arguments));
+        var matches = context.takeMatcher();
+        var sequence = _.assign({
+            remaining: 1
+        }, pendingSequence);
+        _.forEach(values, function(value, position) {
+            sequencedCalls.push({
+                index: sequence.index === undefined ? undefined : sequence.index + position,
+                remaining: sequence.remaining,
+                matches: matches,
+                func: function() {
+                    debug('toReturnInOrder', value, arguments);
+                    return value;
+                }
+            });
+        });
+        pendingSequence = undefined;
+    }
+
+    function onCall(index) {
+        pendingSequence = {
+            index: index,
+            remaining: 1
+        };
+        return context.chain();
+    }
+
+    function times(count) {
+        pendingSequence = {
+            remaining: count
+        };
+        return context.chain();
+    }
+
+    function once() {
+        return times(1);
+    }
+
+    function twice() {
+        return times(2);
+    }
+
+    function capture(func) {
+        if (pendingSequence === undefined) {
+            return false;
+        }
+        sequencedCalls.push(_.assign({
+            matches: context.takeMatcher(),
+            func: func
+        }, pendingSequence));
+        pendingSequence = undefined;
+        return true;
+    }
+
+    function next(invocation, args) {
+        var sequenced = _.find(sequencedCalls, function(entry) {
+            var due = entry.remaining > 0 && (entry.index === undefined || entry.index === invocation);
+            return due && entry.matches(args);
+        });
+        if (sequenced) {
+            debug('sequenced call', invocation, sequenced.remaining);
+            sequenced.remaining--;
+            return sequenced.func;
+        }
+    }
+
+    return {
+        behaviours: {
+            toReturnInOrder: toReturnInOrder,
+            onCall: onCall,
+            once: once,
+            twice: twice,
+            times: times
+        },
+        capture: capture,
+        next: next,
+        reset: function() {
+            sequencedCalls = [];
+            pendingSequence = undefined;
+        }
+    };
+}
+
+function passThroughBehaviours(context) {
+    var obj = context.obj;
+    var originalMethod = context.originalMethod;
+    var emitter = context.emitter;
+    var debug = context.debug;
+
+    function toEmit() {
+        var args = Array.prototype.slice.call(arguments);
+        var func = function() {
+            debug('toEmit', arguments);
+            emitter.emit.apply(emitter, args);
+            return originalMethod.apply(obj, arguments);
+        };
+        context.invoke(func);
+    }
+
+    function toTimeWarp(milliseconds) {
+        var func = function() {
+            debug('toTimeWarp', milliseconds, arguments);
+            var args = arguments;
+            var installedClock = clock.installed();
+            if (installedClock) {
+                var result = originalMethod.apply(obj, args);
+                installedClock.tick(milliseconds);
+                return result;
+            }
+            return clock.warp(milliseconds, function() {
+                return originalMethod.apply(obj, args);
+            });
+        };
+        context.invoke(func);
+    }
+
+    return {
+        toEmit: toEmit,
+        toTimeWarp: toTimeWarp
+    };
+}
+
+function argumentCalls() {
+    var callsByKey = {};
+    var callsOnMatchingArguments = [];
+
+    function add(expectedArgs, func) {
+        if (match.hasMatcher(expectedArgs)) {
+            callsOnMatchingArguments.push({
+                matches: argumentsMatcher(expectedArgs),
+                func: func
+            });
+            return;
+        }
+        callsByKey[serializeArgs(expectedArgs)] = func;
+    }
+
+    function find(args) {
+        var callBasedOnKey = callsByKey[serializeArgs(args)];
+        if (_.isFunction(callBasedOnKey)) {
+            return callBasedOnKey;
+        }
+        var matching = _.findLast(callsOnMatchingArguments, function(entry) {
+            return entry.matches(args);
+        });
+        return matching && matching.func;
+    }
+
+    return {
+        add: add,
+        find: find,
+        reset: function() {
+            callsByKey = {};
+            callsOnMatchingArguments = [];
+        }
+    };
+}
+
+function Setup(obj, method, emitter, options) {
     var debug = require('debug')(PREFIX + ':setup:' + method);
-    var Promises = require('when');
     var originalMethod = obj[method];
-    var callToInvoke = normalCall;
-    var callToInvokeOnArguments = {};
+    var defaultCall = _.get(options, 'strict') ? strictCall : normalCall;
+    var callToInvoke = defaultCall;
     var argumentsPredicate;
     var callBasedOnPredicate;
     var predicate;
     var beforeFunc;
+    var callCount = 0;
+    var context = {
+        obj: obj,
+        method: method,
+        options: options,
+        emitter: emitter,
+        originalMethod: originalMethod,
+        debug: debug,
+        invoke: checkArgumentsToInvoke,
+        takeMatcher: takeMatcher,
+        chain: function() {
+            return Object.freeze(self);
+        }
+    };
+    var callsOnArguments = argumentCalls();
+    var callbacks = callbackBehaviours(context);
+    var delays = delayBehaviours(context);
+    var sequences = sequenceBehaviours(context);
 
     function interceptCall(func) {
         beforeFunc = function() {
@@ -273,14 +1309,18 @@ function Setup(obj, method, emitter) {
     }
 
     function call() {
-        //jshint maxcomplexity:4
+        //jshint maxcomplexity:5
+        var invocation = callCount++;
         if (_.isFunction(beforeFunc)) {
             debug('before call');
             beforeFunc.apply(self, arguments);
             debug('after before call');
         }
-        var key = serializeArgs(arguments);
-        var callBasedOnArgs = callToInvokeOnArguments[key];
+        var callInSequence = sequences.next(invocation, arguments);
+        if (_.isFunction(callInSequence)) {
+            return callInSequence.apply(self, arguments);
+        }
+        var callBasedOnArgs = callsOnArguments.find(arguments);
         if (_.isFunction(callBasedOnArgs)) {
             return callBasedOnArgs.apply(self, arguments);
         }
@@ -290,23 +1330,6 @@ function Setup(obj, method, emitter) {
         return callToInvoke.apply(self, arguments);
     }
 
-    function getArgArray(argArray) {
-        if (argArray.length === 1 && _.isArray(argArray[0])) {
-            return argArray[0];
-        }
-        return argArray;
-    }
-
-    function toCallbackWith() {
-        var args = getArgArray([].slice.call(arguments));
-        var func = function() {
-            debug('toCallbackWith', args);
-            var index = _.findLastIndex(arguments, _.isFunction);
-            arguments[index].apply(null, args);
-        };
-        checkArgumentsToInvoke(func);
-    }
-
     function toDoThis(func) {
         var wrapper = function() {
             debug('toDoThis override', arguments);
@@ -316,32 +1339,6 @@ function Setup(obj, method, emitter) {
         checkArgumentsToInvoke(wrapper);
     }
 
-    function toEmit() {
-        var args = Array.prototype.slice.call(arguments);
-        var func = function() {
-            debug('toEmit', arguments);
-            emitter.emit.apply(emitter, args);
-            return originalMethod.apply(obj, arguments);
-        };
-        checkArgumentsToInvoke(func);
-    }
-
-    function toRejectWith(arg) {
-        var func = function() {
-            debug('toRejectWith', arg, arguments);
-            return Promises.reject(arg);
-        };
-        checkArgumentsToInvoke(func);
-    }
-
-    function toResolveWith(arg) {
-        var func = function() {
-            debug('toResolveWith', arg, arguments);
-            return Promises.resolve(arg);
-        };
-        checkArgumentsToInvoke(func);
-    }
-
     function toReturn(value) {
         var overrideReturnValue = function() {
             debug('toReturn', value, arguments);
@@ -350,27 +1347,44 @@ function Setup(obj, method, emitter) {
         checkArgumentsToInvoke(overrideReturnValue);
     }
 
-    function toThrow(message) {
+    function toThrow(error) {
+        var build = errorBuilder(error, _.drop(arguments, 1), function() {
+            return _.isObject(error) ? error : new Error(error);
+        });
         var func = function() {
-            debug('toThrow', message, arguments);
-            throw new Error(message);
+            debug('toThrow', error, arguments);
+            throw build(obj, arguments);
         };
         checkArgumentsToInvoke(func);
     }
 
-    function toTimeWarp(milliseconds) {
-        var func = function() {
-            debug('toTimeWarp', milliseconds, arguments);
-            var originalTimeoutFunc = setTimeout;
-            setTimeout = function(delegate, timeout) {
-                originalTimeoutFunc(delegate, timeout - milliseconds);
+    function toCallOriginal() {
+        checkArgumentsToInvoke(normalCall);
+    }
+
+    function allow() {
+        toReturn(undefined);
+    }
+
+    function currentCallMatcher() {
+        if (argumentsPredicate !== undefined) {
+            return argumentsMatcher(argumentsPredicate);
+        }
+        if (_.isFunction(predicate)) {
+            var sequencePredicate = predicate;
+            return function(args) {
+                return sequencePredicate.apply(self, args);
             };
-            var result = originalMethod.apply(obj, arguments);
-            return result;
-        };
-        checkArgumentsToInvoke(func);
+        }
+        return _.constant(true);
     }
 
+    function takeMatcher() {
+        var matches = currentCallMatcher();
+        argumentsPredicate = undefined;
+        predicate = undefined;
+        return matches;
+    }
 
     function when() {
         if (_.isFunction(arguments['0'])) {
@@ -382,9 +1396,13 @@ function Setup(obj, method, emitter) {
     }
 
     function checkArgumentsToInvoke(func) {
+        //jshint maxcomplexity:4
+        func = delays.applyDelay(func);
+        if (sequences.capture(func)) {
+            return;
+        }
         if (argumentsPredicate !== undefined) {
-            var key = serializeArgs(argumentsPredicate);
-            callToInvokeOnArguments[key] = func;
+            callsOnArguments.add(argumentsPredicate, func);
         } else {
             if (_.isFunction(predicate)) {
                 callBasedOnPredicate = function() {
@@ -404,116 +1422,681 @@ function Setup(obj, method, emitter) {
         argumentsPredicate = undefined;
     }
 
+    function reset() {
+        debug('reset');
+        callToInvoke = defaultCall;
+        callsOnArguments.reset();
+        callBasedOnPredicate = undefined;
+        argumentsPredicate = undefined;
+        predicate = undefined;
+        beforeFunc = undefined;
+        callCount = 0;
+        sequences.reset();
+        callbacks.reset();
+        delays.reset();
+    }
+
     function normalCall() {
         debug('normal call', method);
         var result = originalMethod.apply(obj, arguments);
         return result;
     }
 
-    function serializeArgs(args) {
-        return JSON.stringify(args);
+    function strictCall() {
+        var description = messages.describeCall(labelFor(options, method), _.toArray(arguments));
+        debug('strict call', description);
+        throw new Error('Unexpected call to ' + description + ' on a strict mock');
     }
 
-    var self = {
+    var self = _.assign({
         toDoThis: toDoThis,
         toReturn: toReturn,
         toThrow: toThrow,
-        toCallbackWith: toCallbackWith,
-        toResolve: toResolveWith,
-        toResolveWith: toResolveWith,
-        toReject: toRejectWith,
-        toRejectWith: toRejectWith,
-        toTimeWarp: toTimeWarp,
-        toEmit: toEmit,
+        toCallOriginal: toCallOriginal,
+        allow: allow,
         when: when,
         call: call,
+        reset: reset,
         toIntercept: interceptCall
-    };
+    }, passThroughBehaviours(context), promiseBehaviours(context), callbacks.behaviours, delays.behaviours, sequences.behaviours);
 
     return (function() {
         return Object.freeze(self);
     }());
 }
 
-function wrap(obj) {
+var RESERVED = ['expect', 'called', 'setup', 'mock', 'verify', 'on', 'once', 'emit'];
+
+var DEEP_LIMIT = 5;
+
+function deepLimit(options) {
+    var deep = _.get(options, 'deep');
+    if (_.isNumber(deep)) {
+        return deep;
+    }
+    return deep ? DEEP_LIMIT : 0;
+}
+
+function nestedObjects(obj, options, ancestors) {
+    if (ancestors.length > deepLimit(options)) {
+        return {};
+    }
+    return _.pickBy(obj, function(value) {
+        return _.isPlainObject(value) && !_.includes(ancestors, value);
+    });
+}
+
+function flattenInto(target, source, prefix) {
+    _.forEach(source, function(value, name) {
+        target[prefix + '.' + name] = value;
+    });
+}
+
+function labelFor(options, method) {
+    var name = _.get(options, 'name');
+    return name ? name + '.' + method : method;
+}
+
+function wrapProperty(obj, name, emitter, options) {
+    var accessors = {};
+    var written = {};
+    var setupOptions = _.omit(options, 'strict');
+    var getter = name + ' getter';
+    var setter = name + ' setter';
+    accessors[getter] = function() {
+        return _.has(written, 'value') ? written.value : obj[name];
+    };
+    accessors[setter] = function(value) {
+        written.value = value;
+    };
+    var expect = {
+        get: new Expectations(accessors, getter, labelFor(options, getter)),
+        set: new Expectations(accessors, setter, labelFor(options, setter))
+    };
+    var setup = {
+        get: new Setup(accessors, getter, emitter, setupOptions),
+        set: new Setup(accessors, setter, emitter, setupOptions)
+    };
+
+    return {
+        expect: Object.freeze(expect),
+        setup: Object.freeze(_.assign({}, setup.get, setup)),
+        descriptor: {
+            enumerable: true,
+            get: function() {
+                if (utils.isQuiet()) {
+                    return accessors[getter]();
+                }
+                return expect.get.invoke(this, [], setup.get.call);
+            },
+            set: function(value) {
+                expect.set.invoke(this, [value], setup.set.call);
+            }
+        }
+    };
+}
+
+function wrapMethod(obj, method, emitter, options) {
+    var label = labelFor(options, method);
+    var callbacks = new Expectations(obj, method + ' callback', label + ' callback');
+    var expect = new Expectations(obj, method, label, {
+        callback: callbacks,
+        Promise: _.get(options, 'Promise')
+    });
+    var setup = new Setup(obj, method, emitter, _.assign({
+        callbacks: callbacks
+    }, options));
+    return {
+        expect: expect,
+        setup: setup,
+        call: function() {
+            //jshint validthis:true
+            return expect.invoke(this, arguments, function() {
+                return setup.call.apply(obj, arguments);
+            });
+        },
+        declare: function() {
+            return declareExpectation(expect, setup);
+        }
+    };
+}
+
+function defineMockHelpers(mock, expectations, propertyFor) {
+    Object.defineProperty(mock.expect, 'prop', {
+        value: function(name) {
+            return propertyFor(name).expect;
+        }
+    });
+    Object.defineProperty(mock.setup, 'prop', {
+        value: function(name) {
+            return propertyFor(name).setup;
+        }
+    });
+    Object.defineProperty(mock.expect, 'noMoreInteractions', {
+        value: _.partial(assertNoMoreInteractions, expectations)
+    });
+    Object.defineProperty(mock.expect, 'nothingCalled', {
+        value: _.partial(assertNothingCalled, expectations)
+    });
+}
+
+function buildWrap(obj, options, parent) {
     var debug = require('debug')(PREFIX + ':wrap');
     var objMethods = utils.methods(obj);
     var self = {};
     var expectMethods = {};
     var setupMethods = {};
+    var mockMethods = {};
+    var declarations = _.get(parent, 'declarations', []);
+    var ancestors = _.get(parent, 'ancestors', []).concat([obj]);
+    var wrappedProperties = {};
+    var checkConformance = conformanceCheck(options);
     var eventEmitter = new events.EventEmitter();
     utils.proxyFunctions(self, eventEmitter, ['on', 'once', 'emit']);
 
-    function setupForMethod(method) {
-        debug(method);
-        return function() {
-            expectMethods[method].call.apply(obj, arguments);
-            return setupMethods[method].call.apply(obj, arguments);
-        };
+    function declarationsFor(wrapped) {
+        return Object.freeze({
+            expects: function() {
+                var declaration = wrapped.declare();
+                declarations.push(declaration);
+                return declaration.builder;
+            }
+        });
     }
 
-    for (var i = 0; i < objMethods.length; i++) {
-        var method = objMethods[i];
-        expectMethods[method] = new Expectations(obj, method);
-        setupMethods[method] = new Setup(obj, method, eventEmitter);
-        self[method] = setupForMethod(method);
+    function propertyFor(name) {
+        if (!_.has(wrappedProperties, name)) {
+            throw new Error(name + ' is not a property of the mock');
+        }
+        return wrappedProperties[name];
     }
 
-    self.expect = expectMethods;
-    self.called = {
-        reset: function() {
-            _.forEach(expectMethods, function(method) {
-                method.called.reset();
-            });
+    _.forEach(objMethods, function(method) {
+        debug(method);
+        var wrapped = wrapMethod(obj, method, eventEmitter, options);
+        expectMethods[method] = wrapped.expect;
+        setupMethods[method] = wrapped.setup;
+        mockMethods[method] = declarationsFor(wrapped);
+        self[method] = wrapped.call;
+    });
+
+    var nested = _.mapValues(nestedObjects(obj, options, ancestors), function(value, name) {
+        debug('nested', name);
+        return buildWrap(value, _.assign(_.omit(options, 'conformsTo'), {
+            name: labelFor(options, name)
+        }), {
+            ancestors: ancestors,
+            declarations: declarations
+        });
+    });
+
+    _.forEach(_.difference(utils.properties(obj), objMethods, RESERVED, _.keys(nested)), function(name) {
+        debug('property', name);
+        wrappedProperties[name] = wrapProperty(obj, name, eventEmitter, options);
+    });
+
+    var expectations = _.values(expectMethods).concat(_.flatMap(wrappedProperties, function(property) {
+        return [property.expect.get, property.expect.set];
+    }), _.flatMap(nested, 'expectations'));
+    var setups = _.values(setupMethods).concat(_.flatMap(wrappedProperties, function(property) {
+        return [property.setup.get, property.setup.set];
+    }), _.flatMap(nested, 'setups'));
+
+    _.forEach(nested, function(built, name) {
+        self[name] = built.mock;
+        flattenInto(expectMethods, built.mock.expect, name);
+        flattenInto(setupMethods, built.mock.setup, name);
+        flattenInto(mockMethods, built.mock.mock, name);
+    });
+
+    _.assign(self, {
+        expect: expectMethods,
+        called: {
+            reset: function() {
+                _.forEach(expectations, function(expectation) {
+                    expectation.called.reset();
+                });
+            }
+        },
+        setup: setupMethods,
+        mock: Object.freeze(mockMethods),
+        verify: function() {
+            checkConformance(mock);
+            verifyDeclarations(declarations);
+        }
+    });
+    var mock = _.assign(_.merge(Object.create(_.get(parent, 'prototype', Object.prototype)), obj), self);
+    _.forEach(wrappedProperties, function(property, name) {
+        Object.defineProperty(mock, name, property.descriptor);
+    });
+    defineMockHelpers(mock, expectations, propertyFor);
+    stubbedMethods.set(mock, {
+        methods: _.constant(expectMethods),
+        lacks: function(name) {
+            return !_.has(expectMethods, name);
         }
+    });
+    checkConformance(mock);
+    return {
+        mock: Object.freeze(mock),
+        expectations: expectations,
+        setups: setups,
+        declarations: declarations
     };
-    self.setup = setupMethods;
-    return Object.freeze(_.merge({}, obj, self));
 }
 
-function func(toWrap) {
+function wrap(obj, options) {
+    return buildWrap(obj, options).mock;
+}
+
+function buildFunc(toWrap, options, parent) {
     var debug = require('debug')(PREFIX + ':func');
-    var objHarness = {
-        value: _.isFunction(toWrap) ? toWrap : function() {}
-    };
-    var wrapped = wrap(objHarness);
+    var key = _.get(options, 'name', 'function');
+    var objHarness = {};
+    objHarness[key] = _.isFunction(toWrap) ? toWrap : function() {};
+    var built = buildWrap(objHarness, _.omit(options, ['name', 'members']), parent);
+    var wrapped = built.mock;
 
     function createFunc() {
+        //jshint validthis:true
         debug('harness');
-        var returnVal = wrapped.value.apply(objHarness, arguments);
+        var returnVal = wrapped[key].apply(this, arguments);
         return returnVal;
     }
-    createFunc.expect = wrapped.expect.value;
-    createFunc.setup = wrapped.setup.value;
+    _.assign(createFunc, _.get(options, 'members'));
+    createFunc.expect = wrapped.expect[key];
+    createFunc.setup = wrapped.setup[key];
+    createFunc.expects = wrapped.mock[key].expects;
+    createFunc.verify = wrapped.verify;
 
-    return Object.freeze(createFunc);
+    return {
+        mock: Object.freeze(createFunc),
+        expectations: [createFunc.expect],
+        setups: [createFunc.setup],
+        declarations: built.declarations
+    };
 }
 
-function stub(target, properties) {
-    var debug = require('debug')(PREFIX + ':stub');
-    debug(target);
-    var methods = [];
+function func(toWrap, options) {
+    return buildFunc(toWrap, options).mock;
+}
+
+function stubMethods(target) {
     if (_.isArray(target)) {
-        methods = target;
-    } else {
-        methods = utils.methods(target);
+        return target;
     }
+    return realMethods(target);
+}
 
-    var stubObj = {};
-    var emptyMethod = function() {
-        return function() {};
-    };
-    for (var i = 0; i < methods.length; i++) {
-        stubObj[methods[i]] = emptyMethod();
+function stubShape(target, limit, ancestors) {
+    var shape = {};
+    _.forEach(stubMethods(target), function(method) {
+        shape[method] = function() {};
+    });
+    _.forEach(nestedObjects(target, {
+        deep: limit
+    }, ancestors), function(value, name) {
+        shape[name] = stubShape(value, limit, ancestors.concat([value]));
+    });
+    return shape;
+}
+
+function buildStub(target, properties, options, parent) {
+    var debug = require('debug')(PREFIX + ':stub');
+    debug(target);
+    if (_.isPlainObject(properties)) {
+        options = properties;
+        properties = undefined;
     }
+    var limit = _.isArray(target) ? 0 : deepLimit(options);
+    var stubObj = stubShape(target, limit, [target]);
     _.forEach(properties, function(prop) {
         Object.defineProperty(stubObj, prop.name, prop.options);
     });
-    return wrap(stubObj);
+    return buildWrap(stubObj, options, parent);
+}
+
+function stub(target, properties, options) {
+    return buildStub(target, properties, options).mock;
+}
+
+var AUTO_STUB_IGNORED = ['then', 'toJSON', 'inspect'];
+
+function autoStubProxy(base, lookup) {
+    return new Proxy(Object.freeze(base), {
+        get: function(target, name, receiver) {
+            if (name in target || typeof name === 'symbol') {
+                return Reflect.get(target, name, receiver);
+            }
+            return lookup(name);
+        }
+    });
+}
+
+function buildAutoStub(allowed, options) {
+    var debug = require('debug')(PREFIX + ':autoStub');
+    if (_.isPlainObject(allowed)) {
+        options = allowed;
+        allowed = undefined;
+    }
+    var harness = {};
+    var methods = {};
+    var expectations = [];
+    var setups = [];
+    var declarations = [];
+    var eventEmitter = new events.EventEmitter();
+
+    function checkAllowed(name) {
+        if (allowed && !_.includes(allowed, name)) {
+            throw new Error(labelFor(options, name) + ' is not an allowed method of the auto stub');
+        }
+    }
+
+    function methodFor(name) {
+        checkAllowed(name);
+        if (!_.has(methods, name)) {
+            debug(name);
+            harness[name] = function() {};
+            methods[name] = wrapMethod(harness, name, eventEmitter, options);
+            expectations.push(methods[name].expect);
+            setups.push(methods[name].setup);
+        }
+        return methods[name];
+    }
+
+    function declarationsFor(name) {
+        return Object.freeze({
+            expects: function() {
+                var declaration = methodFor(name).declare();
+                declarations.push(declaration);
+                return declaration.builder;
+            }
+        });
+    }
+
+    var base = {
+        expect: autoStubProxy({
+            noMoreInteractions: _.partial(assertNoMoreInteractions, expectations),
+            nothingCalled: _.partial(assertNothingCalled, expectations)
+        }, function(name) {
+            return methodFor(name).expect;
+        }),
+        setup: autoStubProxy({}, function(name) {
+            return methodFor(name).setup;
+        }),
+        mock: autoStubProxy({}, declarationsFor),
+        called: {
+            reset: function() {
+                _.forEach(expectations, function(expectation) {
+                    expectation.called.reset();
+                });
+            }
+        },
+        verify: _.partial(verifyDeclarations, declarations)
+    };
+    utils.proxyFunctions(base, eventEmitter, ['on', 'once', 'emit']);
+    var mock = autoStubProxy(base, function(name) {
+        if (!_.includes(allowed, name) && _.includes(AUTO_STUB_IGNORED, name)) {
+            return undefined;
+        }
+        return methodFor(name).call;
+    });
+    stubbedMethods.set(mock, {
+        methods: function() {
+            return _.assign(_.zipObject(allowed), _.mapValues(methods, 'expect'));
+        },
+        lacks: function(name) {
+            return Boolean(allowed) && !_.includes(allowed, name);
+        }
+    });
+    return {
+        mock: mock,
+        expectations: expectations,
+        setups: setups,
+        declarations: declarations
+    };
+}
+
+function autoStub(allowed, options) {
+    return buildAutoStub(allowed, options).mock;
+}
+
+function setupRecorder(names) {
+    var steps = [];
+    var recorder = {};
+    _.forEach(names, function(name) {
+        recorder[name] = function() {
+            steps.push({
+                name: name,
+                args: arguments
+            });
+            return recorder;
+        };
+    });
+    recorder.reset = function() {
+        steps = [];
+    };
+    recorder.applyTo = function(setup) {
+        _.forEach(steps, function(step) {
+            setup[step.name].apply(setup, step.args);
+        });
+    };
+    return Object.freeze(recorder);
+}
+
+function buildStubClass(Class, options) {
+    var debug = require('debug')(PREFIX + ':stubClass');
+    var methods = utils.prototypeMethods(Class);
+    var name = Class.name || 'anonymous';
+    var expectations = [new Expectations(Class, 'new ' + name)];
+    var template = buildStub(methods);
+    var classSetups = {};
+    _.forEach(methods, function(method) {
+        classSetups[method] = setupRecorder(_.keys(template.mock.setup[method]));
+    });
+    var setups = _.values(classSetups);
+    var instances = [];
+    var instanceOptions = _.omit(options, 'members');
+
+    function createInstance() {
+        var instance = buildStub(methods, undefined, instanceOptions, {
+            prototype: MockClass.prototype
+        });
+        _.forEach(classSetups, function(recorder, method) {
+            recorder.applyTo(instance.mock.setup[method]);
+        });
+        expectations.push.apply(expectations, instance.expectations);
+        setups.push.apply(setups, instance.setups);
+        instances.push(instance.mock);
+        return instance.mock;
+    }
+
+    function MockClass() {
+        //jshint validthis:true
+        debug('new', name, arguments);
+        return expectations[0].invoke(this, arguments, createInstance);
+    }
+    MockClass.prototype = Object.create(Class.prototype, {
+        constructor: {
+            value: MockClass
+        }
+    });
+    _.assign(MockClass, _.get(options, 'members'));
+    MockClass.expect = Object.freeze({
+        constructor: expectations[0]
+    });
+    MockClass.setup = Object.freeze(classSetups);
+    MockClass.instances = instances;
+
+    return {
+        mock: Object.freeze(MockClass),
+        expectations: expectations,
+        setups: setups
+    };
+}
+
+function stubClass(Class, options) {
+    return buildStubClass(Class, options).mock;
+}
+
+function isClass(value) {
+    return /^class\b/.test(Function.prototype.toString.call(value)) || !_.isEmpty(utils.prototypeMethods(value));
+}
+
+function buildExportedFunction(exported, replaced, options, parent) {
+    if (!replaced && isClass(exported)) {
+        return buildStubClass(exported, options);
+    }
+    return buildFunc(replaced ? exported : undefined, options, parent);
+}
+
+function buildFunctionModule(exported, replaced) {
+    var names = _.difference(utils.ownMethods(exported), RESERVED);
+    var toWrap = replaced ? _.identity : _.noop;
+    var parent = {
+        declarations: []
+    };
+    var members = _.map(names, function(name) {
+        return buildFunc(toWrap(exported[name]), {
+            name: name
+        }, parent);
+    });
+    var options = {
+        members: _.zipObject(names, _.map(members, 'mock'))
+    };
+    var built = buildExportedFunction(exported, replaced, options, parent);
+    built.expectations.push.apply(built.expectations, _.flatMap(members, 'expectations'));
+    built.setups.push.apply(built.setups, _.flatMap(members, 'setups'));
+    return _.assign(built, {
+        declarations: parent.declarations
+    });
+}
+
+function buildModuleExports(exported, replaced) {
+    if (_.isFunction(exported)) {
+        return buildFunctionModule(exported, replaced);
+    }
+    return replaced ? buildWrap(exported) : buildStub(exported);
+}
+
+function buildMockModule(request, replacement) {
+    var debug = require('debug')(PREFIX + ':mockModule');
+    var filename = modules.resolve(request, modules.callerFilename());
+    debug(request, filename);
+    var replaced = replacement !== undefined;
+    var built = buildModuleExports(replaced ? replacement : modules.load(filename), replaced);
+    var restore = modules.replace(filename, built.mock);
+
+    return _.assign({}, built, {
+        mock: Object.freeze({
+            mock: built.mock,
+            restore: restore
+        }),
+        restore: restore
+    });
+}
+
+function mockModule(request, replacement) {
+    return buildMockModule(request, replacement).mock;
+}
+
+function buildClock(options) {
+    var created = clock.create(options);
+    return {
+        mock: created,
+        expectations: [],
+        setups: [],
+        restore: created.uninstall
+    };
+}
+
+function isPromiseLibrary(Library) {
+    return _.isFunction(Library) && _.isFunction(Library.resolve) && _.isFunction(Library.reject);
+}
+
+function configure(options) {
+    var Library = _.get(options, 'Promise');
+    if (Library !== undefined && !isPromiseLibrary(Library)) {
+        throw new Error('Promise library must provide resolve and reject functions');
+    }
+    _.assign(config, _.pick(options, _.keys(config)));
+}
+
+function sandbox() {
+    var debug = require('debug')(PREFIX + ':sandbox');
+    var mocks = [];
+    var restorables = [];
+
+    function track(build) {
+        return function() {
+            var built = build.apply(null, arguments);
+            mocks.push(built);
+            if (_.isFunction(built.restore)) {
+                restorables.push(built.restore);
+            }
+            return built.mock;
+        };
+    }
+
+    function reset() {
+        debug('reset', mocks.length);
+        _.forEach(mocks, function(mock) {
+            _.forEach(mock.expectations, function(expectation) {
+                expectation.called.reset();
+            });
+        });
+    }
+
+    function resetBehaviours() {
+        debug('resetBehaviours', mocks.length);
+        _.forEach(mocks, function(mock) {
+            _.invokeMap(mock.setups, 'reset');
+            if (mock.declarations) {
+                mock.declarations.length = 0;
+            }
+        });
+    }
+
+    function verify() {
+        verifyDeclarations(_.flatMap(mocks, 'declarations'));
+    }
+
+    function restore() {
+        debug('restore', restorables.length);
+        _.forEachRight(restorables, function(restorable) {
+            restorable();
+        });
+        restorables = [];
+        reset();
+        resetBehaviours();
+    }
+
+    return Object.freeze({
+        wrap: track(buildWrap),
+        stub: track(buildStub),
+        autoStub: track(buildAutoStub),
+        func: track(buildFunc),
+        stubClass: track(buildStubClass),
+        mockModule: track(buildMockModule),
+        clock: track(buildClock),
+        reset: reset,
+        resetBehaviours: resetBehaviours,
+        verify: verify,
+        restore: restore
+    });
 }
 
 module.exports = {
     wrap: wrap,
     stub: stub,
-    func: func
+    autoStub: autoStub,
+    func: func,
+    stubClass: stubClass,
+    mockModule: mockModule,
+    clock: clock.create,
+    configure: configure,
+    sandbox: sandbox,
+    inOrder: inOrder,
+    verifyConformance: verifyConformance,
+    match: match
 };
@@ -0,0 +1,205 @@
+'use strict';
+var _ = require('lodash');
+var util = require('util');
+var utils = require('../utils');
+var MARKER = '__derideMatcher';
+var inspect = utils.quietly(util.inspect);
+var isEqualWith = utils.quietly(_.isEqualWith);
+var isMatchWith = utils.quietly(_.isMatchWith);
+
+function isMatcher(value) {
+    return _.isObject(value) && value[MARKER] === true;
+}
+
+function describe(value) {
+    if (isMatcher(value)) {
+        return value.toString();
+    }
+    return inspect(value, {
+        depth: 10
+    });
+}
+
+function matcherCustomizer(actual, expected) {
+    if (isMatcher(expected)) {
+        return expected.test(actual);
+    }
+}
+
+function matches(expected, actual) {
+    if (isMatcher(expected)) {
+        return expected.test(actual);
+    }
+    return isEqualWith(actual, expected, matcherCustomizer);
+}
+
+var errorMatchers = [{
+    applies: _.isUndefined,
+    test: _.constant(true)
+}, {
+    applies: isMatcher,
+    test: function(expected, err) {
+        return expected.test(err);
+    }
+}, {
+    applies: _.isFunction,
+    test: function(expected, err) {
+        return err instanceof expected;
+    }
+}, {
+    applies: _.isString,
+    test: function(expected, err) {
+        return _.get(err, 'message') === expected;
+    }
+}, {
+    applies: _.isRegExp,
+    test: function(expected, err) {
+        return expected.test(_.get(err, 'message'));
+    }
+}];
+
+function matchesError(expected, err) {
+    var errorMatcher = _.find(errorMatchers, function(candidate) {
+        return candidate.applies(expected);
+    });
+    return errorMatcher ? errorMatcher.test(expected, err) : matches(expected, err);
+}
+
+function hasMatcher(values) {
+    return _.some(values, function(value) {
+        if (isMatcher(value)) {
+            return true;
+        }
+        return (_.isArray(value) || _.isPlainObject(value)) && hasMatcher(value);
+    });
+}
+
+function describePredicate(predicate, description) {
+    return description || 'where(' + (predicate.name || 'anonymous') + ')';
+}
+
+function where(predicate, description) {
+    var text = describePredicate(predicate, description);
+    var matcher = {
+        test: utils.quietly(function(value) {
+            return Boolean(predicate(value));
+        }),
+        toString: function() {
+            return text;
+        }
+    };
+    if (util.inspect.custom) {
+        matcher[util.inspect.custom] = matcher.toString;
+    }
+    Object.defineProperty(matcher, MARKER, {
+        value: true
+    });
+    return Object.freeze(matcher);
+}
+
+function describeAll(values) {
+    return _.map(values, describe).join(', ');
+}
+
+function typeMatcher(name, predicate) {
+    return function() {
+        return where(predicate, name);
+    };
+}
+
+function instanceOf(Class) {
+    return where(function(value) {
+        return value instanceof Class;
+    }, 'instanceOf(' + (Class.name || 'anonymous') + ')');
+}
+
+function objectContaining(partial) {
+    return where(function(value) {
+        return _.isObject(value) && isMatchWith(value, partial, matcherCustomizer);
+    }, 'objectContaining(' + describe(partial) + ')');
+}
+
+function arrayContaining(items) {
+    return where(function(value) {
+        return _.isArray(value) && _.every(items, function(item) {
+            return _.some(value, function(element) {
+                return matches(item, element);
+            });
+        });
+    }, 'arrayContaining(' + describe(items) + ')');
+}
+
+function regex(pattern) {
+    return where(function(value) {
+        return _.isString(value) && value.search(pattern) !== -1;
+    }, 'regex(' + pattern + ')');
+}
+
+function comparison(name, predicate) {
+    return function(bound) {
+        return where(function(value) {
+            return _.isNumber(value) && predicate(value, bound);
+        }, name + '(' + describe(bound) + ')');
+    };
+}
+
+function oneOf() {
+    var values = _.toArray(arguments);
+    return where(function(value) {
+        return _.some(values, function(expected) {
+            return matches(expected, value);
+        });
+    }, 'oneOf(' + describeAll(values) + ')');
+}
+
+function not(expected) {
+    return where(function(value) {
+        return !matches(expected, value);
+    }, 'not(' + describe(expected) + ')');
+}
+
+function and() {
+    var expectations = _.toArray(arguments);
+    return where(function(value) {
+        return _.every(expectations, function(expected) {
+            return matches(expected, value);
+        });
+    }, 'and(' + describeAll(expectations) + ')');
+}
+
+function or() {
+    var expectations = _.toArray(arguments);
+    return where(function(value) {
+        return _.some(expectations, function(expected) {
+            return matches(expected, value);
+        });
+    }, 'or(' + describeAll(expectations) + ')');
+}
+
+module.exports = {
+    any: typeMatcher('any', _.constant(true)),
+    anyString: typeMatcher('anyString', _.isString),
+    anyNumber: typeMatcher('anyNumber', _.isNumber),
+    anyBoolean: typeMatcher('anyBoolean', _.isBoolean),
+    anyFunction: typeMatcher('anyFunction', _.isFunction),
+    anyObject: typeMatcher('anyObject', _.isObject),
+    anyArray: typeMatcher('anyArray', _.isArray),
+    instanceOf: instanceOf,
+    objectContaining: objectContaining,
+    arrayContaining: arrayContaining,
+    regex: regex,
+    gt: comparison('gt', _.gt),
+    gte: comparison('gte', _.gte),
+    lt: comparison('lt', _.lt),
+    lte: comparison('lte', _.lte),
+    oneOf: oneOf,
+    not: not,
+    and: and,
+    or: or,
+    where: where,
+    isMatcher: isMatcher,
+    hasMatcher: utils.quietly(hasMatcher),
+    matches: matches,
+    matchesError: matchesError,
+    describe: describe
+};
@@ -0,0 +1,85 @@
+'use strict';
+var _ = require('lodash');
+var match = require('../match');
+var utils = require('../utils');
+var COLOURS = {
+    expected: 32,
+    actual: 31
+};
+
+function paint(text, colour, options) {
+    if (!_.get(options, 'colors')) {
+        return text;
+    }
+    return '\u001b[' + COLOURS[colour] + 'm' + text + '\u001b[39m';
+}
+
+function describeArgs(args) {
+    return _.map(args, match.describe).join(', ');
+}
+
+function describeCall(label, args) {
+    return label + '(' + describeArgs(args) + ')';
+}
+
+function describeAt(values, index) {
+    return index < values.length ? match.describe(values[index]) : 'nothing';
+}
+
+function argumentDiff(actual, options) {
+    var expected = options.expected;
+    var compare = options.compare || match.matches;
+    var length = options.exact ? Math.max(expected.length, actual.length) : expected.length;
+    return _.map(_.reject(_.range(length), function(index) {
+        return compare(expected[index], actual[index]);
+    }), function(index) {
+        return '\n       arg ' + index + ': expected ' + paint(describeAt(expected, index), 'expected', options) +
+            ' but was ' + paint(describeAt(actual, index), 'actual', options);
+    }).join('');
+}
+
+function missingArguments(actual, options) {
+    var compare = options.compare || match.matches;
+    return _.map(_.reject(options.expected, function(expected) {
+        return _.some(actual, _.partial(compare, expected));
+    }), function(expected) {
+        return '\n       missing: ' + paint(match.describe(expected), 'expected', options);
+    }).join('');
+}
+
+function describeDiff(actual, options) {
+    if (!_.has(options, 'expected')) {
+        return '';
+    }
+    return options.unordered ? missingArguments(actual, options) : argumentDiff(actual, options);
+}
+
+function describeCalls(label, records, options) {
+    if (_.isEmpty(records)) {
+        return '\n  ' + label + ' was never called';
+    }
+    return '\n  ' + label + ' was called ' + utils.humanise(records.length) + ':' + _.map(records, function(record, index) {
+        return '\n    ' + (index + 1) + '. ' + describeCall(label, record.args) + describeDiff(record.args, options);
+    }).join('');
+}
+
+function describeInvocation(description, label, record, options) {
+    return '\n  ' + description + ' was ' + describeCall(label, record.args) + describeDiff(record.args, options);
+}
+
+function describeTimeline(calls) {
+    if (_.isEmpty(calls)) {
+        return '\n  no calls were recorded';
+    }
+    return _.map(calls, function(call, index) {
+        return '\n  ' + (index + 1) + '. ' + describeCall(call.method, call.args);
+    }).join('');
+}
+
+module.exports = {
+    describeArgs: describeArgs,
+    describeCall: describeCall,
+    describeCalls: describeCalls,
+    describeInvocation: describeInvocation,
+    describeTimeline: describeTimeline
+};
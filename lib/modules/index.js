@@ -0,0 +1,79 @@
+'use strict';
+var _ = require('lodash');
+var path = require('path');
+var Module = require('module');
+var LIB_DIR = path.resolve(__dirname, '..');
+
+function stackFilenames() {
+    var original = Error.prepareStackTrace;
+    Error.prepareStackTrace = function(err, stack) {
+        return stack;
+    };
+    var stack = new Error().stack;
+    Error.prepareStackTrace = original;
+    return _.invokeMap(stack, 'getFileName');
+}
+
+function isCaller(filename) {
+    return path.isAbsolute(filename || '') && filename.indexOf(LIB_DIR + path.sep) !== 0;
+}
+
+function callerFilename() {
+    return _.find(stackFilenames(), isCaller);
+}
+
+function resolve(request, parentFilename) {
+    var parentDir = parentFilename ? path.dirname(parentFilename) : process.cwd();
+    return require.resolve(request, {
+        paths: [parentDir]
+    });
+}
+
+function load(filename) {
+    return Module._load(filename, null);
+}
+
+function isProtected(filename, callers) {
+    return filename.indexOf(LIB_DIR + path.sep) === 0 || _.includes(callers, filename);
+}
+
+function dependentsOf(filename) {
+    var callers = stackFilenames();
+    return _.filter(_.keys(require.cache), function(key) {
+        return !isProtected(key, callers) && _.some(require.cache[key].children, {
+            filename: filename
+        });
+    });
+}
+
+function clearDependents(filename) {
+    _.forEach(dependentsOf(filename), function(dependent) {
+        delete require.cache[dependent];
+    });
+}
+
+function replace(filename, exports) {
+    var original = require.cache[filename];
+    var fake = new Module(filename, null);
+    fake.filename = filename;
+    fake.loaded = true;
+    fake.exports = exports;
+    clearDependents(filename);
+    require.cache[filename] = fake;
+
+    return function restore() {
+        clearDependents(filename);
+        if (original) {
+            require.cache[filename] = original;
+        } else {
+            delete require.cache[filename];
+        }
+    };
+}
+
+module.exports = {
+    callerFilename: callerFilename,
+    resolve: resolve,
+    load: load,
+    replace: replace
+};
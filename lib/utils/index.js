@@ -1,5 +1,6 @@
 'use strict';
 var _ = require('lodash');
+var quietDepth = 0;
 
 function proxyFunctions(source, target, functions) {
     function createFunction(functionName, target) {
@@ -14,7 +15,67 @@ function proxyFunctions(source, target, functions) {
 }
 
 function methods(obj) {
-    return _.functionsIn(obj);
+    return _.uniq(_.functionsIn(obj).concat(chainMethods(obj)));
+}
+
+function isProperty(descriptor) {
+    if (descriptor.get || descriptor.set) {
+        return true;
+    }
+    return descriptor.enumerable && !_.isFunction(descriptor.value);
+}
+
+function ownProperties(obj) {
+    return _.filter(Object.getOwnPropertyNames(obj), function(name) {
+        return isProperty(Object.getOwnPropertyDescriptor(obj, name));
+    });
+}
+
+function properties(obj) {
+    var names = [];
+    var current = obj;
+    while (_.isObject(current) && current !== Object.prototype && current !== Function.prototype) {
+        names = names.concat(ownProperties(current));
+        current = Object.getPrototypeOf(current);
+    }
+    return _.uniq(names);
+}
+
+function ownMethods(obj) {
+    return _.filter(Object.getOwnPropertyNames(obj), function(name) {
+        var descriptor = Object.getOwnPropertyDescriptor(obj, name);
+        return name !== 'constructor' && _.isFunction(descriptor.value);
+    });
+}
+
+function chainMethods(obj) {
+    var names = [];
+    var current = obj;
+    while (_.isObject(current) && current !== Object.prototype && current !== Function.prototype) {
+        names = names.concat(ownMethods(current));
+        current = Object.getPrototypeOf(current);
+    }
+    return _.uniq(names);
+}
+
+function prototypeMethods(Class) {
+    return chainMethods(Class.prototype);
+}
+
+function quietly(func) {
+    return function() {
+        //jshint validthis:true
+        quietDepth++;
+        try {
+            return func.apply(this, arguments);
+        } finally {
+            quietDepth--;
+        }
+    };
+}
+
+function isQuiet() {
+    return quietDepth > 0;
 }
 
 function humanise(number) {
@@ -114,6 +175,11 @@ var mixins = {
 module.exports = {
     proxyFunctions: proxyFunctions,
     methods: methods,
+    properties: properties,
+    ownMethods: ownMethods,
+    prototypeMethods: prototypeMethods,
     humanise: humanise,
+    quietly: quietly,
+    isQuiet: isQuiet,
     mixins: mixins
 };
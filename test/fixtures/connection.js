@@ -0,0 +1,17 @@
+'use strict';
+
+class Connection {
+    constructor(url) {
+        this.url = url;
+    }
+
+    static open(url) {
+        return new Connection(url);
+    }
+
+    query(sql) {
+        return 'real result of ' + sql;
+    }
+}
+
+module.exports = Connection;
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+    query: function(sql) {
+        return 'real result of ' + sql;
+    },
+    close: function() {}
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = function format(name) {
+    return 'hello ' + name;
+};
+
+module.exports.shout = function(name) {
+    return 'HELLO ' + name.toUpperCase();
+};
@@ -0,0 +1,8 @@
+'use strict';
+var db = require('./db');
+
+module.exports = {
+    find: function(id) {
+        return db.query('select ' + id);
+    }
+};
@@ -34,6 +34,12 @@ var when = require('when');
 var deride = require('../lib/deride.js');
 var utils = require('../lib/utils');
 
+before(function() {
+    deride.configure({
+        colors: false
+    });
+});
+
 describe('utils', function() {
     it('finds object style methods', function() {
         var obj = {
@@ -50,6 +56,34 @@ describe('utils', function() {
         utils.methods(new Obj()).should.eql(['greet', 'depart']);
     });
 
+    it('finds properties', function() {
+        function Obj() {
+            this.name = 'bob';
+        }
+        Obj.prototype.greet = function() {};
+        Object.defineProperty(Obj.prototype, 'age', {
+            get: function() {
+                return 25;
+            }
+        });
+        utils.properties(new Obj()).should.eql(['name', 'age']);
+    });
+
+    it('finds the prototype methods of a class', function() {
+        class Animal {
+            speak() {}
+        }
+        class Dog extends Animal {
+            constructor() {
+                super();
+                this.name = 'rex';
+            }
+            fetch() {}
+            static create() {}
+        }
+        utils.prototypeMethods(Dog).should.eql(['fetch', 'speak']);
+    });
+
     it('finds methods attached to functions', function() {
         function obj() {}
         obj.greet = function() {};
@@ -81,6 +115,187 @@ describe('utils', function() {
 
 });
 
+describe('match', function() {
+    var match = deride.match;
+
+    function Person() {}
+
+    var testCases = [{
+        name: 'any',
+        matcher: match.any(),
+        pass: [undefined, null, 'a', {}],
+        fail: []
+    }, {
+        name: 'anyString',
+        matcher: match.anyString(),
+        pass: ['', 'a'],
+        fail: [1, null, {}]
+    }, {
+        name: 'anyNumber',
+        matcher: match.anyNumber(),
+        pass: [0, 1.5],
+        fail: ['1', null]
+    }, {
+        name: 'anyFunction',
+        matcher: match.anyFunction(),
+        pass: [function() {}],
+        fail: [{}, 'a']
+    }, {
+        name: 'instanceOf',
+        matcher: match.instanceOf(Person),
+        pass: [new Person()],
+        fail: [{}, null]
+    }, {
+        name: 'objectContaining',
+        matcher: match.objectContaining({ a: 1, b: { c: match.anyString() } }),
+        pass: [{ a: 1, b: { c: 'x', d: 2 }, e: 3 }],
+        fail: [{ a: 1 }, { a: 2, b: { c: 'x' } }, 'a']
+    }, {
+        name: 'arrayContaining',
+        matcher: match.arrayContaining([2, match.gt(5)]),
+        pass: [[1, 2, 6], [6, 2]],
+        fail: [[1, 2], [6], 'a']
+    }, {
+        name: 'regex',
+        matcher: match.regex(/^tal/g),
+        pass: ['talula', 'tall'],
+        fail: ['a talula', 1, null]
+    }, {
+        name: 'gt',
+        matcher: match.gt(2),
+        pass: [3],
+        fail: [2, '3']
+    }, {
+        name: 'lte',
+        matcher: match.lte(2),
+        pass: [1, 2],
+        fail: [3]
+    }, {
+        name: 'oneOf',
+        matcher: match.oneOf('a', { b: 1 }),
+        pass: ['a', { b: 1 }],
+        fail: ['b', { b: 2 }]
+    }, {
+        name: 'not',
+        matcher: match.not(match.anyString()),
+        pass: [1],
+        fail: ['a']
+    }, {
+        name: 'and',
+        matcher: match.and(match.anyNumber(), match.gt(1), match.lt(3)),
+        pass: [2],
+        fail: [1, 3, '2']
+    }, {
+        name: 'or',
+        matcher: match.or(match.anyString(), match.gt(1)),
+        pass: ['a', 2],
+        fail: [1, null]
+    }, {
+        name: 'where',
+        matcher: match.where(function(value) {
+            return value % 2 === 0;
+        }, 'even'),
+        pass: [2, 4],
+        fail: [1]
+    }];
+
+    _.forEach(testCases, function(test) {
+        it(test.name + ' matches the expected values', function() {
+            _.forEach(test.pass, function(value) {
+                test.matcher.test(value).should.eql(true, util.inspect(value));
+            });
+        });
+
+        it(test.name + ' does not match other values', function() {
+            _.forEach(test.fail, function(value) {
+                test.matcher.test(value).should.eql(false, util.inspect(value));
+            });
+        });
+    });
+
+    it('describes itself', function() {
+        match.objectContaining({ a: match.anyString() }).toString().should.eql('objectContaining({ a: anyString })');
+        match.or(match.gt(1), 'a').toString().should.eql('or(gt(1), \'a\')');
+        match.where(_.isString).toString().should.eql('where(isString)');
+        util.inspect(match.anyNumber()).should.eql('anyNumber');
+    });
+
+    describe('when used in setup', function() {
+        var bob;
+        beforeEach(function() {
+            bob = deride.stub(['greet']);
+            bob.setup.greet.toReturn('default');
+        });
+
+        it('matches arguments positionally', function() {
+            bob.setup.greet.when(match.anyString(), match.gt(1)).toReturn('matched');
+            bob.greet('alice', 2).should.eql('matched');
+            bob.greet(2, 'alice').should.eql('default');
+            bob.greet('alice', 1).should.eql('default');
+        });
+
+        it('matches nested matchers', function() {
+            bob.setup.greet.when({ name: match.regex(/^a/) }).toReturn('matched');
+            bob.greet({ name: 'alice' }).should.eql('matched');
+            bob.greet({ name: 'bob' }).should.eql('default');
+        });
+
+        it('ignores additional arguments', function() {
+            bob.setup.greet.when(match.anyString()).toReturn('matched');
+            bob.greet('alice', function() {}).should.eql('matched');
+        });
+
+        it('uses the most recent matching setup', function() {
+            bob.setup.greet.when(match.any()).toReturn('any');
+            bob.setup.greet.when(match.anyString()).toReturn('string');
+            bob.greet('alice').should.eql('string');
+            bob.greet(1).should.eql('any');
+        });
+
+        it('composes with sequenced setup', function() {
+            bob.setup.greet.when(match.anyNumber()).once().toReturn('number');
+            bob.greet(1).should.eql('number');
+            bob.greet(1).should.eql('default');
+        });
+    });
+
+    describe('when used in expectations', function() {
+        var bob;
+        beforeEach(function() {
+            bob = deride.stub(['greet']);
+            bob.greet('alice', { age: 25, name: 'alice' }, 3);
+        });
+
+        it('works with withArgs', function() {
+            bob.expect.greet.called.withArgs(match.anyString(), match.objectContaining({ age: match.gt(18) }));
+            bob.expect.greet.called.not.withArgs(match.anyFunction());
+        });
+
+        it('works with withArg', function() {
+            bob.expect.greet.called.withArg(match.gte(3));
+            bob.expect.greet.called.not.withArg(match.gt(3));
+        });
+
+        it('works with matchExactly', function() {
+            bob.expect.greet.called.matchExactly('alice', { age: match.anyNumber(), name: 'alice' }, match.any());
+            bob.expect.greet.called.not.matchExactly(match.anyNumber(), match.any(), match.any());
+        });
+
+        it('works with invocation withArg', function() {
+            bob.expect.greet.invocation(0).withArg(match.anyNumber());
+        });
+
+        it('describes the matchers when failing', function() {
+            (function() {
+                bob.expect.greet.called.withArgs(match.anyFunction());
+            }).should.throw(/^Expected greet to be called with: anyFunction\n/);
+            (function() {
+                bob.expect.greet.called.matchExactly(match.anyNumber());
+            }).should.throw(/matchExactly args: anyNumber\n/);
+        });
+    });
+});
+
 describe('Expectations', function() {
     var bob;
     beforeEach(function () {
@@ -178,7 +393,9 @@ describe('Expectations', function() {
 
         (function() {
             bob.expect.greet.called.withMatch(/^talula/);
-        }).should.throw('Expected greet to be called matching: /^talula/');
+        }).should.throw('Expected greet to be called matching: /^talula/\n' +
+            '  greet was called once:\n' +
+            '    1. greet(\'The inspiration for this was that my colleague was having a\')');
     });
 
     it('allows matching call args with regex in objects', function() {
@@ -207,7 +424,12 @@ describe('Expectations', function() {
             bob.greet('alice', ['carol'], 123);
             (function () {
                 bob.expect.greet.called.matchExactly('not-alice', ['or-carol'], 987);
-            }).should.throw('Expected greet to be called matchExactly args[ \'not-alice\', [ \'or-carol\' ], 987 ]');
+            }).should.throw('Expected greet to be called matchExactly args: \'not-alice\', [ \'or-carol\' ], 987\n' +
+                '  greet was called once:\n' +
+                '    1. greet(\'alice\', [ \'carol\' ], 123)\n' +
+                '       arg 0: expected \'not-alice\' but was \'alice\'\n' +
+                '       arg 1: expected [ \'or-carol\' ] but was [ \'carol\' ]\n' +
+                '       arg 2: expected 987 but was 123');
         });
 
         it('with mixture of primitives and objects', function () {
@@ -220,7 +442,11 @@ describe('Expectations', function() {
                     name: 'not-bob',
                     a: 1
                 }, 'not-sam');
-            }).should.throw('Expected greet to be called matchExactly args[ \'alice\', [ \'carol\' ], 123, { name: \'not-bob\', a: 1 }, \'not-sam\' ]');
+            }).should.throw('Expected greet to be called matchExactly args: \'alice\', [ \'carol\' ], 123, { name: \'not-bob\', a: 1 }, \'not-sam\'\n' +
+                '  greet was called once:\n' +
+                '    1. greet(\'alice\', [ \'carol\' ], 123, { name: \'bob\', a: 1 }, \'sam\')\n' +
+                '       arg 3: expected { name: \'not-bob\', a: 1 } but was { name: \'bob\', a: 1 }\n' +
+                '       arg 4: expected \'not-sam\' but was \'sam\'');
         });
     });
 });
@@ -239,110 +465,2267 @@ describe('Single function', function() {
         };
     });
 
-    it('Resetting the called count', function(done) {
-        var myClass = deride.wrap(new MyClass());
-        myClass.doStuff();
-        myClass.expect.doStuff.called.once();
-        myClass.expect.doStuff.called.reset();
-        myClass.expect.doStuff.called.never();
-        done();
+    it('Resetting the called count', function(done) {
+        var myClass = deride.wrap(new MyClass());
+        myClass.doStuff();
+        myClass.expect.doStuff.called.once();
+        myClass.expect.doStuff.called.reset();
+        myClass.expect.doStuff.called.never();
+        done();
+    });
+
+    it('Resetting the called with count', function(done) {
+        var myClass = deride.wrap(new MyClass());
+        myClass.doStuff('test');
+        myClass.expect.doStuff.called.withArgs('test');
+        myClass.expect.doStuff.called.reset();
+        (function() {
+            myClass.expect.doStuff.called.withArgs('test');
+        }).should.throw('Expected doStuff to be called with: \'test\'\n' +
+            '  doStuff was never called');
+        done();
+    });
+
+    it('Resetting the called count on all methods', function(done) {
+        var myClass = deride.wrap(new MyClass());
+        myClass.doStuff('test1');
+        myClass.echo('echo1');
+
+        myClass.expect.doStuff.called.once();
+        myClass.expect.echo.called.once();
+        myClass.called.reset();
+
+        myClass.expect.doStuff.called.never();
+        myClass.expect.echo.called.never();
+
+        done();
+    });
+
+    it('Wrapping a class does not remove non-functions', function() {
+        var myClass = deride.wrap(new MyClass());
+        myClass.should.have.property('aValue');
+    });
+
+    it('can setup a return value', function(done) {
+        var func = deride.func();
+        func.setup.toReturn(1);
+        var value = func(1, 2, 3);
+        assert.equal(value, 1);
+        done();
+    });
+
+    it('can setup to invoke a callback', function(done) {
+        var func = deride.func();
+        func.setup.toCallbackWith(['hello', 'world']);
+        func(function(arg1, arg2) {
+            assert.equal(arg1, 'hello');
+            assert.equal(arg2, 'world');
+            done();
+        });
+    });
+
+    describe('wrapping an existing function', function (){
+        var f;
+        beforeEach(function () {
+            f = function (name) {
+                return 'hello ' + name;
+            };
+        });
+
+        it('can wrap an existing function', function () {
+            var func = deride.func(f);
+            assert(func('bob'), 'hello bob');
+            func.expect.called.withArg('bob');
+        });
+
+        it('can wrap a promised function', function (done) {
+            var func = deride.func(when.lift(f));
+            func('bob').then(function(result){
+                assert(result, 'hello bob');
+                func.expect.called.withArg('bob');
+            }).finally(done);
+        });
+    });
+
+    it('can setup an intercept on promises', function (done) {
+        var promise = require('when');
+        var Obj = function() {
+            return {
+                times: function (arg) {
+                    return promise.resolve(arg * 2);
+                }
+            };
+        };
+        var beforeCalledWith;
+
+        var a = deride.wrap(new Obj());
+        a.setup.times.toIntercept(function (value) {
+            beforeCalledWith = value;
+        });
+        a.times(2).then(function (result) {
+            result.should.eql(4);
+            beforeCalledWith.should.eql(2);
+            done();
+        });
+    });
+});
+
+
+describe('Call order', function() {
+    var repo;
+    var bus;
+    beforeEach(function() {
+        repo = deride.stub(['save', 'load']);
+        bus = deride.stub(['publish']);
+    });
+
+    it('passes when the calls happened in order', function() {
+        repo.save({ id: 1 });
+        bus.publish('saved');
+        repo.save({ id: 2 });
+        deride.inOrder(repo.expect.save, bus.expect.publish);
+        repo.expect.save.called.before(bus.expect.publish);
+        bus.expect.publish.called.after(repo.expect.save);
+    });
+
+    it('supports more than two expectations', function() {
+        repo.load(1);
+        repo.save({ id: 1 });
+        bus.publish('saved');
+        deride.inOrder(repo.expect.load, repo.expect.save, bus.expect.publish);
+    });
+
+    it('supports the same expectation more than once', function() {
+        repo.save({ id: 1 });
+        bus.publish('saved');
+        repo.save({ id: 2 });
+        deride.inOrder(repo.expect.save, bus.expect.publish, repo.expect.save);
+    });
+
+    it('matches each expectation against the calls after the previous one', function() {
+        bus.publish('started');
+        repo.save({ id: 1 });
+        bus.publish('saved');
+        repo.expect.save.called.before(bus.expect.publish);
+        bus.expect.publish.called.after(repo.expect.save);
+        deride.inOrder(bus.expect.publish, repo.expect.save, bus.expect.publish);
+    });
+
+    it('lists each call once when an expectation is repeated', function() {
+        repo.save({ id: 1 });
+        bus.publish('saved');
+        (function() {
+            deride.inOrder(repo.expect.save, bus.expect.publish, repo.expect.save);
+        }).should.throw('Expected save, then publish, then save to be called in order, but the calls were:\n' +
+            '  1. save({ id: 1 })\n' +
+            '  2. publish(\'saved\')');
+    });
+
+    it('supports single functions', function() {
+        var callback = deride.func();
+        repo.save({ id: 1 });
+        callback();
+        deride.inOrder(repo.expect.save, callback.expect);
+    });
+
+    it('fails with the timeline when the calls happened out of order', function() {
+        bus.publish('saved');
+        repo.save({ id: 1 });
+        (function() {
+            deride.inOrder(repo.expect.save, bus.expect.publish);
+        }).should.throw('Expected save, then publish to be called in order, but the calls were:\n' +
+            '  1. publish(\'saved\')\n' +
+            '  2. save({ id: 1 })');
+    });
+
+    it('fails when one of the methods was never called', function() {
+        repo.save({ id: 1 });
+        (function() {
+            repo.expect.save.called.before(bus.expect.publish);
+        }).should.throw(/Expected save, then publish to be called in order/);
+    });
+
+    it('reports when no calls were recorded', function() {
+        (function() {
+            deride.inOrder(repo.expect.save, bus.expect.publish);
+        }).should.throw(/no calls were recorded/);
+    });
+
+    it('can be negated', function() {
+        bus.publish('saved');
+        repo.save({ id: 1 });
+        repo.expect.save.called.not.before(bus.expect.publish);
+    });
+
+    it('can return a bespoke error', function() {
+        (function() {
+            repo.expect.save.called.before(bus.expect.publish, 'save first');
+        }).should.throw('save first');
+    });
+
+    it('does not consider calls before a reset', function() {
+        repo.save({ id: 1 });
+        bus.publish('saved');
+        repo.called.reset();
+        repo.save({ id: 2 });
+        bus.expect.publish.called.before(repo.expect.save);
+    });
+});
+
+describe('Sandbox', function() {
+    var sandbox;
+    var bob;
+    var func;
+    beforeEach(function() {
+        sandbox = deride.sandbox();
+        bob = sandbox.wrap({
+            greet: function(name) {
+                return 'hello ' + name;
+            }
+        });
+        func = sandbox.func();
+    });
+
+    it('creates stubs', function() {
+        var alice = sandbox.stub(['greet']);
+        alice.greet('bob');
+        alice.expect.greet.called.once();
+    });
+
+    it('resets the call history of everything it created', function() {
+        var alice = sandbox.stub(['greet']);
+        bob.greet('alice');
+        alice.greet('bob');
+        func();
+        sandbox.reset();
+        bob.expect.greet.called.never();
+        alice.expect.greet.called.never();
+        func.expect.called.never();
+    });
+
+    it('does not reset the behaviours when resetting the call history', function() {
+        bob.setup.greet.toReturn('yo');
+        sandbox.reset();
+        bob.greet('alice').should.eql('yo');
+    });
+
+    it('resets the behaviours of everything it created', function() {
+        bob.setup.greet.toReturn('yo');
+        bob.setup.greet.when('bob').toReturn('yo bob');
+        bob.setup.greet.once().toThrow('BANG');
+        func.setup.toReturn(1);
+        sandbox.resetBehaviours();
+        bob.greet('bob').should.eql('hello bob');
+        assert.equal(func(), undefined);
+    });
+
+    it('does not reset the call history when resetting the behaviours', function() {
+        bob.greet('alice');
+        sandbox.resetBehaviours();
+        bob.expect.greet.called.once();
+    });
+
+    it('resets the call history and behaviours when restoring', function() {
+        bob.setup.greet.toReturn('yo');
+        bob.greet('alice');
+        sandbox.restore();
+        bob.expect.greet.called.never();
+        bob.greet('alice').should.eql('hello alice');
+    });
+
+    it('does not affect mocks created outside of the sandbox', function() {
+        var alice = deride.stub(['greet']);
+        alice.setup.greet.toReturn('yo');
+        alice.greet('bob');
+        sandbox.restore();
+        alice.expect.greet.called.once();
+        alice.greet('bob').should.eql('yo');
+    });
+});
+
+describe('Stubbing classes', function() {
+    var constructed;
+    var MockPerson;
+
+    class Person {
+        constructor(name) {
+            constructed = true;
+            this.name = name;
+        }
+        greet(other) {
+            return this.name + ' says hello to ' + other;
+        }
+        depart() {}
+    }
+
+    beforeEach(function() {
+        constructed = false;
+        MockPerson = deride.stubClass(Person);
+    });
+
+    it('does not invoke the real constructor', function() {
+        var bob = new MockPerson('bob');
+        constructed.should.eql(false);
+        assert.equal(bob.greet('alice'), undefined);
+    });
+
+    it('records the constructor calls', function() {
+        /* jshint nonew:false */
+        new MockPerson('bob');
+        new MockPerson('alice');
+        MockPerson.expect.constructor.called.twice();
+        MockPerson.expect.constructor.called.withArgs('alice');
+        MockPerson.expect.constructor.invocation(0).withArg('bob');
+        (function() {
+            MockPerson.expect.constructor.called.withArgs('carol');
+        }).should.throw(/^Expected new Person to be called with: 'carol'\n  new Person was called twice:/);
+    });
+
+    it('tracks the instances created', function() {
+        var bob = new MockPerson('bob');
+        var alice = new MockPerson('alice');
+        MockPerson.instances.should.have.length(2);
+        MockPerson.instances[0].should.equal(bob);
+        MockPerson.instances[1].should.equal(alice);
+    });
+
+    it('creates instances of the mock and the real class', function() {
+        var bob = new MockPerson('bob');
+        bob.should.be.an.instanceOf(MockPerson);
+        bob.should.be.an.instanceOf(Person);
+        bob.constructor.should.equal(MockPerson);
+        assert.equal(bob.greet('alice'), undefined);
+        bob.expect.greet.called.once();
+    });
+
+    it('stubs every prototype method on each instance', function() {
+        var bob = new MockPerson('bob');
+        bob.greet('alice');
+        bob.depart();
+        MockPerson.instances[0].expect.greet.called.withArgs('alice');
+        MockPerson.instances[0].expect.depart.called.once();
+    });
+
+    it('keeps the expectations and setups separate per instance', function() {
+        var bob = new MockPerson('bob');
+        var alice = new MockPerson('alice');
+        bob.setup.greet.toReturn('yo');
+        bob.greet('carol').should.eql('yo');
+        assert.equal(alice.greet('carol'), undefined);
+        alice.expect.greet.called.once();
+        bob.expect.greet.called.once();
+    });
+
+    it('applies class wide setups to every future instance', function() {
+        MockPerson.setup.greet.toReturn('hello');
+        MockPerson.setup.greet.when('bob').toReturn('hello bob');
+        var alice = new MockPerson('alice');
+        var carol = new MockPerson('carol');
+        alice.greet('sam').should.eql('hello');
+        carol.greet('bob').should.eql('hello bob');
+    });
+
+    it('allows instance setups to override class wide setups', function() {
+        MockPerson.setup.greet.toReturn('hello');
+        var alice = new MockPerson('alice');
+        alice.setup.greet.toReturn('yo');
+        alice.greet('sam').should.eql('yo');
+    });
+
+    it('resets everything it created when used from a sandbox', function() {
+        var sandbox = deride.sandbox();
+        var MockAnimal = sandbox.stubClass(Person);
+        MockAnimal.setup.greet.toReturn('hello');
+        var rex = new MockAnimal('rex');
+        rex.greet('bob');
+        sandbox.restore();
+        MockAnimal.expect.constructor.called.never();
+        rex.expect.greet.called.never();
+        assert.equal(rex.greet('bob'), undefined);
+        assert.equal(new MockAnimal('fido').greet('bob'), undefined);
+    });
+});
+
+describe('Mocking modules', function() {
+    var mocked;
+    afterEach(function() {
+        if (mocked) {
+            mocked.restore();
+            mocked = undefined;
+        }
+    });
+
+    it('replaces the module with the wrapped replacement', function() {
+        mocked = deride.mockModule('./fixtures/db', {
+            query: function() {
+                return 'fake result';
+            }
+        });
+        var db = require('./fixtures/db');
+        db.should.equal(mocked.mock);
+        db.query('select 1').should.eql('fake result');
+        mocked.mock.expect.query.called.withArgs('select 1');
+    });
+
+    it('replaces the module with a wrapped replacement function and its members', function() {
+        var replacement = function(name) {
+            return 'hi ' + name;
+        };
+        replacement.shout = function(name) {
+            return 'HI ' + name;
+        };
+        mocked = deride.mockModule('./fixtures/format', replacement);
+        var format = require('./fixtures/format');
+        format('alice').should.eql('hi alice');
+        format.shout('alice').should.eql('HI alice');
+        format.setup.toReturn('yo');
+        format('alice').should.eql('yo');
+        format.expect.called.twice();
+        format.shout.expect.called.withArgs('alice');
+    });
+
+    it('stubs the exports of the real module when no replacement is given', function() {
+        mocked = deride.mockModule('./fixtures/db');
+        var db = require('./fixtures/db');
+        assert.equal(db.query('select 1'), undefined);
+        db.setup.query.toReturn('stubbed result');
+        db.query('select 1').should.eql('stubbed result');
+        db.expect.close.called.never();
+    });
+
+    it('reloads modules which depend on the mocked module', function() {
+        require('./fixtures/repository').find(1).should.eql('real result of select 1');
+        mocked = deride.mockModule('./fixtures/db');
+        mocked.mock.setup.query.toReturn('stubbed result');
+        require('./fixtures/repository').find(1).should.eql('stubbed result');
+        mocked.mock.expect.query.called.withArgs('select 1');
+    });
+
+    it('leaves deride and the calling file in the module cache', function() {
+        var self = require.cache[__filename];
+        mocked = deride.mockModule('./fixtures/db');
+        require('../lib/deride.js').should.equal(deride);
+        require.cache[__filename].should.equal(self);
+        mocked.restore();
+        mocked = undefined;
+        require('../lib/deride.js').should.equal(deride);
+    });
+
+    it('puts the original module back when restored', function() {
+        mocked = deride.mockModule('./fixtures/db');
+        require('./fixtures/repository');
+        mocked.restore();
+        mocked = undefined;
+        require('./fixtures/db').query('select 1').should.eql('real result of select 1');
+        require('./fixtures/repository').find(1).should.eql('real result of select 1');
+    });
+
+    it('is restored by a sandbox', function() {
+        var sandbox = deride.sandbox();
+        var db = sandbox.mockModule('./fixtures/db').mock;
+        db.setup.query.toReturn('stubbed result');
+        require('./fixtures/repository').find(1).should.eql('stubbed result');
+        sandbox.restore();
+        require('./fixtures/repository').find(1).should.eql('real result of select 1');
+    });
+
+    it('stubs the members of a function exported by the real module', function() {
+        mocked = deride.mockModule('./fixtures/format');
+        var format = require('./fixtures/format');
+        assert.equal(format('alice'), undefined);
+        format.setup.toReturn('hi');
+        format.shout.setup.toReturn('HI');
+        format('alice').should.eql('hi');
+        format.shout('alice').should.eql('HI');
+        format.expect.called.withArgs('alice');
+        format.shout.expect.called.once();
+    });
+
+    it('stubs a class exported by the real module', function() {
+        mocked = deride.mockModule('./fixtures/connection');
+        var Connection = require('./fixtures/connection');
+        Connection.setup.query.toReturn('stubbed result');
+        Connection.open.setup.toReturn(new Connection('db://test'));
+        var connection = Connection.open('db://test');
+        connection.query('select 1').should.eql('stubbed result');
+        connection.expect.query.called.withArgs('select 1');
+        Connection.open.expect.called.withArgs('db://test');
+        Connection.expect.constructor.called.once();
+    });
+
+    it('resets and verifies the members of a stubbed function in a sandbox', function() {
+        var sandbox = deride.sandbox();
+        var format = sandbox.mockModule('./fixtures/format').mock;
+        format.shout.expects().once();
+        (function() {
+            sandbox.verify();
+        }).should.throw(/1 of 1 declared expectations were not met/);
+        format.shout('alice');
+        sandbox.verify();
+        sandbox.reset();
+        format.shout.expect.called.never();
+        sandbox.restore();
+    });
+});
+
+describe('Clock', function() {
+    var clock;
+    var realSetTimeout = setTimeout;
+    var realDate = Date;
+    beforeEach(function() {
+        clock = deride.clock({ now: 1000 });
+    });
+
+    afterEach(function() {
+        clock.uninstall();
+    });
+
+    it('replaces and restores the global timer functions', function() {
+        clock.install();
+        setTimeout.should.equal(clock.setTimeout);
+        Date.should.equal(clock.Date);
+        clock.uninstall();
+        setTimeout.should.equal(realSetTimeout);
+        Date.should.equal(realDate);
+    });
+
+    it('does not allow two clocks to be installed', function() {
+        clock.install();
+        (function() {
+            deride.clock().install();
+        }).should.throw('a clock is already installed');
+    });
+
+    it('fakes the current time', function() {
+        clock.install();
+        Date.now().should.eql(1000);
+        new Date().getTime().should.eql(1000);
+        clock.tick(500);
+        Date.now().should.eql(1500);
+        new Date(0).getTime().should.eql(0);
+        (new Date() instanceof realDate).should.eql(true);
+    });
+
+    it('fakes process.hrtime', function() {
+        clock.install();
+        var start = process.hrtime();
+        clock.tick(1500);
+        process.hrtime(start).should.eql([1, 500000000]);
+    });
+
+    it('runs timeouts when the time is advanced', function() {
+        var calls = [];
+        clock.install();
+        setTimeout(function(name) {
+            calls.push(name);
+        }, 100, 'first');
+        setTimeout(function() {
+            calls.push('second');
+        }, 200);
+        clock.tick(99);
+        calls.should.eql([]);
+        clock.tick(1);
+        calls.should.eql(['first']);
+        clock.tick(100);
+        calls.should.eql(['first', 'second']);
+    });
+
+    it('runs the timers at the time they were scheduled for', function() {
+        var times = [];
+        clock.install();
+        setTimeout(function() {
+            times.push(Date.now());
+        }, 100);
+        clock.tick(1000);
+        times.should.eql([1100]);
+        Date.now().should.eql(2000);
+    });
+
+    it('cancels timers', function() {
+        var called = false;
+        clock.install();
+        var timer = setTimeout(function() {
+            called = true;
+        }, 100);
+        clearTimeout(timer);
+        clock.runAll();
+        called.should.eql(false);
+    });
+
+    it('clears real timers created before it was installed', function(done) {
+        var fired = [];
+        var timeout = setTimeout(function() {
+            fired.push('timeout');
+        }, 5);
+        var interval = setInterval(function() {
+            fired.push('interval');
+        }, 5);
+        var immediate = setImmediate(function() {
+            fired.push('immediate');
+        });
+        clock.install();
+        clearTimeout(timeout);
+        clearInterval(interval);
+        clearImmediate(immediate);
+        clock.uninstall();
+        setTimeout(function() {
+            fired.should.eql([]);
+            done();
+        }, 20);
+    });
+
+    it('repeats intervals until they are cleared', function() {
+        var count = 0;
+        clock.install();
+        var interval = setInterval(function() {
+            count++;
+        }, 100);
+        clock.tick(350);
+        count.should.eql(3);
+        clearInterval(interval);
+        clock.tick(1000);
+        count.should.eql(3);
+    });
+
+    it('runs immediates on the next tick', function() {
+        var called = false;
+        clock.install();
+        setImmediate(function() {
+            called = true;
+        });
+        called.should.eql(false);
+        clock.tick(0);
+        called.should.eql(true);
+    });
+
+    it('runs the next timer', function() {
+        var calls = [];
+        clock.setTimeout(function() {
+            calls.push('a');
+        }, 50);
+        clock.setTimeout(function() {
+            calls.push('b');
+        }, 10);
+        clock.next().should.eql(1010);
+        calls.should.eql(['b']);
+    });
+
+    it('runs all timers, including those scheduled by other timers', function() {
+        var calls = [];
+        clock.setTimeout(function() {
+            calls.push('a');
+            clock.setTimeout(function() {
+                calls.push('b');
+            }, 1000);
+        }, 50);
+        clock.runAll().should.eql(2050);
+        calls.should.eql(['a', 'b']);
+    });
+
+    it('runs any number of timers due within a tick', function() {
+        var count = 0;
+        clock.setInterval(function() {
+            count++;
+        }, 1);
+        clock.tick(1500).should.eql(2500);
+        count.should.eql(1500);
+    });
+
+    it('aborts a tick when timers keep firing at the same moment', function() {
+        function again() {
+            clock.setTimeout(again, 0);
+        }
+        clock.setTimeout(again, 0);
+        (function() {
+            clock.tick(10);
+        }).should.throw(/Aborting after running 1000 timers/);
+    });
+
+    it('aborts running all timers when they never finish', function() {
+        clock.setInterval(function() {}, 10);
+        (function() {
+            clock.runAll();
+        }).should.throw(/Aborting after running 1000 timers/);
+    });
+
+    it('is uninstalled by a sandbox', function() {
+        var sandbox = deride.sandbox();
+        sandbox.clock().install();
+        sandbox.restore();
+        setTimeout.should.equal(realSetTimeout);
+    });
+
+    describe('with toTimeWarp', function() {
+        var bob;
+        beforeEach(function() {
+            bob = deride.wrap({
+                later: function(timeout, callback) {
+                    return setTimeout(callback, timeout);
+                }
+            });
+            bob.setup.later.toTimeWarp(10000);
+        });
+
+        it('restores setTimeout after the call', function(done) {
+            bob.later(10000, function() {
+                done();
+            });
+            setTimeout.should.equal(realSetTimeout);
+        });
+
+        it('returns the timer from the original method', function(done) {
+            var timer = bob.later(10000, function() {});
+            assert.ok(timer);
+            clearTimeout(timer);
+            done();
+        });
+
+        it('advances an installed clock', function() {
+            var called = false;
+            clock.install();
+            bob.later(10000, function() {
+                called = true;
+            });
+            called.should.eql(true);
+            Date.now().should.eql(11000);
+        });
+    });
+});
+
+describe('Promise library', function() {
+    var bob;
+    beforeEach(function() {
+        bob = deride.stub(['greet']);
+    });
+
+    afterEach(function() {
+        deride.configure({ Promise: undefined });
+    });
+
+    it('uses native promises by default', function() {
+        bob.setup.greet.toResolveWith('hello');
+        var promise = bob.greet('alice');
+        promise.should.be.instanceOf(Promise);
+        return promise.should.be.fulfilledWith('hello');
+    });
+
+    it('can be configured globally', function() {
+        deride.configure({ Promise: when.Promise });
+        bob.setup.greet.toResolveWith('hello');
+        var promise = bob.greet('alice');
+        promise.should.be.instanceOf(when.Promise);
+        promise.should.not.be.instanceOf(Promise);
+        return promise.should.be.fulfilledWith('hello');
+    });
+
+    it('applies the configuration to existing mocks', function() {
+        bob.setup.greet.toRejectWith(new Error('BANG'));
+        deride.configure({ Promise: when.Promise });
+        var promise = bob.greet('alice');
+        promise.should.be.instanceOf(when.Promise);
+        return promise.should.be.rejectedWith('BANG');
+    });
+
+    it('can be configured per mock', function() {
+        var alice = deride.stub(['greet'], { Promise: when.Promise });
+        var carol = deride.wrap({ greet: function() {} }, { Promise: when.Promise });
+        var func = deride.func(undefined, { Promise: when.Promise });
+        alice.setup.greet.toResolveWith('hello');
+        carol.setup.greet.toResolveWith('hello');
+        func.setup.toResolveWith('hello');
+        alice.greet().should.be.instanceOf(when.Promise);
+        carol.greet().should.be.instanceOf(when.Promise);
+        func().should.be.instanceOf(when.Promise);
+        bob.setup.greet.toResolveWith('hello');
+        bob.greet().should.not.be.instanceOf(when.Promise);
+    });
+
+    it('rejects libraries without resolve and reject', function() {
+        (function() {
+            deride.configure({ Promise: function() {} });
+        }).should.throw('Promise library must provide resolve and reject functions');
+    });
+
+    it('resolves lazily with the value built for each call', function() {
+        var count = 0;
+        bob.setup.greet.toResolve(function(name) {
+            return name + ' ' + (++count);
+        });
+        count.should.eql(0);
+        return bob.greet('alice').then(function(first) {
+            first.should.eql('alice 1');
+            return bob.greet('bob');
+        }).then(function(second) {
+            second.should.eql('bob 2');
+        });
+    });
+
+    it('rejects lazily with the reason built for each call', function() {
+        bob.setup.greet.toReject(function(name) {
+            return new Error('no ' + name);
+        });
+        return bob.greet('alice').should.be.rejectedWith('no alice');
+    });
+
+    it('resolves and rejects with values when not given a function', function() {
+        bob.setup.greet.when('alice').toResolve('hello');
+        bob.setup.greet.when('bob').toReject(new Error('BANG'));
+        return when.all([
+            bob.greet('alice').should.be.fulfilledWith('hello'),
+            bob.greet('bob').should.be.rejectedWith('BANG')
+        ]);
+    });
+});
+
+describe('Awaiting expectations', function() {
+    var bob;
+    beforeEach(function() {
+        bob = deride.stub(['greet']);
+    });
+
+    function later(func, milliseconds) {
+        setTimeout(func, milliseconds || 10);
+    }
+
+    it('resolves immediately when the expectation is already met', function() {
+        bob.greet('alice');
+        return bob.expect.greet.eventually.called.once();
+    });
+
+    it('resolves once the expectation is met', function() {
+        later(function() {
+            bob.greet('alice');
+        });
+        return bob.expect.greet.eventually.called.withArgs('alice');
+    });
+
+    it('rejects with the normal failure message when the timeout elapses', function() {
+        later(function() {
+            bob.greet('bob');
+        });
+        return bob.expect.greet.eventually({ timeout: 50 }).called.withArgs('alice').then(function() {
+            throw new Error('should have rejected');
+        }, function(err) {
+            err.message.should.eql('Expected greet to be called with: \'alice\'\n' +
+                '  greet was called once:\n' +
+                '    1. greet(\'bob\')\n' +
+                '       missing: \'alice\'');
+        });
+    });
+
+    it('treats every argument as an expected argument', function() {
+        later(function() {
+            bob.greet({ timeout: 5 });
+        });
+        return bob.expect.greet.eventually.called.withArg({ timeout: 5 });
+    });
+
+    it('passes the arguments through to the assertion', function() {
+        later(function() {
+            bob.greet('alice');
+            bob.greet('bob');
+        });
+        return bob.expect.greet.eventually({ timeout: 200 }).called.gte(2, 'bespoke error');
+    });
+
+    it('waits for a number of calls', function() {
+        later(function() {
+            bob.greet('alice');
+            later(function() {
+                bob.greet('bob');
+                bob.greet('carol');
+            });
+        });
+        return bob.expect.greet.called.waitFor(3).then(function() {
+            bob.expect.greet.called.times(3);
+        });
+    });
+
+    it('rejects when the number of calls is not reached', function() {
+        bob.greet('alice');
+        return bob.expect.greet.called.waitFor(2, { timeout: 20 }).then(function() {
+            throw new Error('should have rejected');
+        }, function(err) {
+            err.message.should.eql('Expected greet to be called greater than or equal to twice but was 1\n' +
+                '  greet was called once:\n' +
+                '    1. greet(\'alice\')');
+        });
+    });
+
+    it('does not wait on a fake clock', function() {
+        var clock = deride.clock().install();
+        var waiting = bob.expect.greet.eventually({ timeout: 20 }).called.once();
+        clock.uninstall();
+        return waiting.should.be.rejected();
+    });
+});
+
+describe('Invocation records', function() {
+    var bob;
+    var clock;
+    beforeEach(function() {
+        clock = deride.clock({ now: 5000 }).install();
+        bob = deride.wrap({
+            greet: function(name) {
+                clock.tick(10);
+                return 'hello ' + name;
+            },
+            fail: function() {
+                throw new Error('BANG');
+            }
+        });
+    });
+
+    afterEach(function() {
+        clock.uninstall();
+    });
+
+    it('records the arguments, this value, return value and timings', function() {
+        bob.greet('alice', 1);
+        var record = bob.expect.greet.invocation(0);
+        record.args.should.eql(['alice', 1]);
+        record.thisValue.should.equal(bob);
+        record.returnValue.should.eql('hello alice');
+        record.startedAt.should.eql(5000);
+        record.endedAt.should.eql(5010);
+        record.should.not.have.property('error');
+        record.sequence.should.be.a.Number();
+    });
+
+    it('records the error thrown', function() {
+        (function() {
+            bob.fail();
+        }).should.throw('BANG');
+        var record = bob.expect.fail.invocation(0);
+        record.error.message.should.eql('BANG');
+        record.should.not.have.property('returnValue');
+        record.endedAt.should.eql(5000);
+    });
+
+    it('records the value returned by a setup', function() {
+        bob.setup.greet.toReturn('yo');
+        bob.greet('alice');
+        bob.expect.greet.invocation(0).returnValue.should.eql('yo');
+    });
+
+    it('gives increasing sequence numbers across mocks', function() {
+        var alice = deride.stub(['greet']);
+        bob.greet('alice');
+        alice.greet('bob');
+        bob.greet('carol');
+        var sequences = [bob.expect.greet.calls[0].sequence, alice.expect.greet.calls[0].sequence, bob.expect.greet.calls[1].sequence];
+        sequences.should.eql(_.sortBy(sequences));
+    });
+
+    it('exposes every call', function() {
+        bob.greet('alice');
+        bob.greet('bob');
+        _.map(bob.expect.greet.calls, 'returned').should.eql(['hello alice', 'hello bob']);
+        bob.called.reset();
+        bob.expect.greet.calls.should.eql([]);
+    });
+
+    it('records the this value of single functions', function() {
+        var func = deride.func();
+        var context = { name: 'context' };
+        func.call(context, 1);
+        func.expect.invocation(0).thisValue.should.equal(context);
+    });
+
+    it('records property reads and writes', function() {
+        var alice = deride.wrap({ age: 25 });
+        /* jshint expr:true */
+        alice.age;
+        alice.age = 26;
+        alice.expect.prop('age').get.invocation(0).returnValue.should.eql(25);
+        alice.expect.prop('age').set.invocation(0).args.should.eql([26]);
+    });
+
+    it('records the instances returned by stubbed constructors', function() {
+        var MockPerson = deride.stubClass(function Person() {});
+        var person = new MockPerson('bob');
+        MockPerson.expect.constructor.invocation(0).returnValue.should.equal(person);
+    });
+});
+
+describe('Return value and error assertions', function() {
+    var match = deride.match;
+    var bob;
+
+    function HttpError(message, status) {
+        this.message = message;
+        this.status = status;
+    }
+    util.inherits(HttpError, Error);
+
+    beforeEach(function() {
+        bob = deride.wrap({
+            greet: function(name) {
+                return 'hello ' + name;
+            },
+            fail: function(status) {
+                throw new HttpError('request failed', status);
+            },
+            fetch: function(name) {
+                return Promise.resolve({ name: name });
+            },
+            reject: function() {
+                return Promise.reject(new HttpError('not found', 404));
+            }
+        });
+    });
+
+    it('asserts on the values returned', function() {
+        bob.greet('alice');
+        bob.greet('bob');
+        bob.expect.greet.called.returned('hello bob');
+        bob.expect.greet.called.returned(match.regex(/alice$/));
+        bob.expect.greet.called.not.returned('hello carol');
+        (function() {
+            bob.expect.greet.called.returned('hello carol');
+        }).should.throw('Expected greet to have returned: \'hello carol\'');
+    });
+
+    it('asserts on the value always returned', function() {
+        bob.greet('alice');
+        bob.greet('bob');
+        bob.expect.greet.called.alwaysReturned(match.regex(/^hello/));
+        bob.expect.greet.called.not.alwaysReturned('hello bob');
+        (function() {
+            bob.expect.greet.called.alwaysReturned('hello bob');
+        }).should.throw('Expected greet to have always returned: \'hello bob\'');
+    });
+
+    it('does not consider a method which was never called to have always returned', function() {
+        bob.expect.greet.called.not.alwaysReturned(match.any());
+    });
+
+    it('asserts on the errors thrown', function() {
+        bob.greet('alice');
+        bob.expect.greet.called.not.threw();
+        (function() {
+            bob.fail(500);
+        }).should.throw('request failed');
+        bob.expect.fail.called.threw();
+        bob.expect.fail.called.threw(HttpError);
+        bob.expect.fail.called.threw('request failed');
+        bob.expect.fail.called.threw(/failed/);
+        bob.expect.fail.called.threw(match.objectContaining({ status: 500 }));
+        bob.expect.fail.called.not.threw(TypeError);
+        bob.expect.fail.called.not.threw('BANG');
+        (function() {
+            bob.expect.fail.called.threw('BANG');
+        }).should.throw('Expected fail to have thrown: \'BANG\'');
+        (function() {
+            bob.expect.greet.called.threw();
+        }).should.throw('Expected greet to have thrown: an error');
+    });
+
+    it('asserts on the errors thrown by a setup', function() {
+        bob.setup.greet.toThrow('BANG');
+        (function() {
+            bob.greet('alice');
+        }).should.throw('BANG');
+        bob.expect.greet.called.threw('BANG');
+    });
+
+    it('asserts on the values promises resolved with', function() {
+        return bob.fetch('alice').then(function() {
+            bob.expect.fetch.called.resolvedWith({ name: 'alice' });
+            bob.expect.fetch.called.resolvedWith(match.objectContaining({ name: match.anyString() }));
+            bob.expect.fetch.called.not.resolvedWith({ name: 'bob' });
+            bob.expect.fetch.called.not.rejectedWith();
+            (function() {
+                bob.expect.fetch.called.resolvedWith({ name: 'bob' });
+            }).should.throw('Expected fetch to have resolved with: { name: \'bob\' }');
+        });
+    });
+
+    it('asserts on the errors promises rejected with', function() {
+        return bob.reject().catch(function() {
+            bob.expect.reject.called.rejectedWith();
+            bob.expect.reject.called.rejectedWith(HttpError);
+            bob.expect.reject.called.rejectedWith('not found');
+            bob.expect.reject.called.not.rejectedWith('BANG');
+            bob.expect.reject.called.not.resolvedWith(match.any());
+            (function() {
+                bob.expect.reject.called.rejectedWith(TypeError);
+            }).should.throw('Expected reject to have rejected with: [Function: TypeError]');
+        });
+    });
+
+    it('can wait for a promise to settle', function() {
+        bob.setup.fetch.toResolveWith('done');
+        bob.fetch('alice');
+        return bob.expect.fetch.eventually.called.resolvedWith('done');
+    });
+
+    it('does not settle thenables which are not promises', function() {
+        var query = {
+            then: function() {
+                throw new Error('the query ran');
+            }
+        };
+        bob.setup.fetch.toReturn(query);
+        bob.fetch().should.equal(query);
+        bob.expect.fetch.called.returned(query);
+    });
+
+    it('returns the promise of the real method itself', function() {
+        var request = Promise.resolve('done');
+        request.cancel = function() {};
+        var api = deride.wrap({
+            fetch: function() {
+                return request;
+            }
+        });
+        var returned = api.fetch();
+        returned.should.equal(request);
+        returned.cancel.should.be.a.Function();
+        return returned.then(function() {
+            api.expect.fetch.called.resolvedWith('done');
+        });
+    });
+
+    it('rejects the promise returned to the caller', function() {
+        var err = new Error('BANG');
+        bob.setup.fetch.toRejectWith(err);
+        return bob.fetch().then(function() {
+            throw new Error('should have rejected');
+        }, function(reason) {
+            reason.should.equal(err);
+            bob.expect.fetch.called.rejectedWith(err);
+        });
+    });
+});
+
+describe('Failure messages', function() {
+    var bob;
+
+    beforeEach(function() {
+        bob = deride.stub(['greet'], {
+            name: 'bob'
+        });
+    });
+
+    afterEach(function() {
+        deride.configure({
+            colors: false
+        });
+    });
+
+    it('lists every call with a diff of the mismatched arguments', function() {
+        bob.greet('alice', { age: 25 });
+        bob.greet('carol', { age: 30 });
+        (function() {
+            bob.expect.greet.called.withArgs('alice', { age: 30 });
+        }).should.throw('Expected bob.greet to be called with: \'alice\', { age: 30 }\n' +
+            '  bob.greet was called twice:\n' +
+            '    1. bob.greet(\'alice\', { age: 25 })\n' +
+            '       missing: { age: 30 }\n' +
+            '    2. bob.greet(\'carol\', { age: 30 })\n' +
+            '       missing: \'alice\'');
+    });
+
+    it('only lists the arguments missing from every position', function() {
+        bob.greet('b', 'a');
+        (function() {
+            bob.expect.greet.called.withArgs('a', 'c');
+        }).should.throw('Expected bob.greet to be called with: \'a\', \'c\'\n' +
+            '  bob.greet was called once:\n' +
+            '    1. bob.greet(\'b\', \'a\')\n' +
+            '       missing: \'c\'');
+    });
+
+    it('reports missing arguments', function() {
+        bob.greet();
+        (function() {
+            bob.expect.greet.called.withArgs('alice');
+        }).should.throw('Expected bob.greet to be called with: \'alice\'\n' +
+            '  bob.greet was called once:\n' +
+            '    1. bob.greet()\n' +
+            '       missing: \'alice\'');
+    });
+
+    it('lists the calls for a single argument', function() {
+        bob.greet('carol');
+        (function() {
+            bob.expect.greet.called.withArg('alice');
+        }).should.throw('Expected bob.greet to be called with: \'alice\'\n' +
+            '  bob.greet was called once:\n' +
+            '    1. bob.greet(\'carol\')');
+    });
+
+    it('lists the calls when counting', function() {
+        bob.greet('alice');
+        bob.greet('carol');
+        (function() {
+            bob.expect.greet.called.once();
+        }).should.throw('Expected bob.greet to be called once but was 2\n' +
+            '  bob.greet was called twice:\n' +
+            '    1. bob.greet(\'alice\')\n' +
+            '    2. bob.greet(\'carol\')');
+    });
+
+    it('describes the negated assertion', function() {
+        bob.greet('alice');
+        (function() {
+            bob.expect.greet.called.not.withArgs('alice');
+        }).should.throw('Expected bob.greet not to satisfy called.withArgs(\'alice\')\n' +
+            '  bob.greet was called once:\n' +
+            '    1. bob.greet(\'alice\')');
+        (function() {
+            bob.expect.greet.called.not.once();
+        }).should.throw('Expected bob.greet not to satisfy called.once()\n' +
+            '  bob.greet was called once:\n' +
+            '    1. bob.greet(\'alice\')');
+    });
+
+    it('uses the name of a wrapped function', function() {
+        var fn = deride.func(undefined, {
+            name: 'callback'
+        });
+        fn('alice');
+        fn.expect.called.withArgs('alice');
+        (function() {
+            fn.expect.called.never();
+        }).should.throw(/^Expected callback to be called 0 times but was 1\n {2}callback was called once:/);
+    });
+
+    it('colours the expected and actual arguments when enabled', function() {
+        deride.configure({
+            colors: true
+        });
+        bob.greet('carol');
+        (function() {
+            bob.expect.greet.called.withArgs('alice');
+        }).should.throw(/missing: \u001b\[32m'alice'\u001b\[39m$/);
+        (function() {
+            bob.expect.greet.called.matchExactly('alice');
+        }).should.throw(/arg 0: expected \u001b\[32m'alice'\u001b\[39m but was \u001b\[31m'carol'\u001b\[39m$/);
+    });
+});
+
+describe('Strict mocks', function() {
+    var bob;
+
+    beforeEach(function() {
+        bob = deride.wrap({
+            name: 'bob',
+            greet: function(name) {
+                return 'hello ' + name;
+            },
+            echo: function(value) {
+                return value;
+            }
+        }, {
+            strict: true
+        });
+    });
+
+    it('throws when a method without a setup is called', function() {
+        (function() {
+            bob.greet('alice', { age: 25 });
+        }).should.throw('Unexpected call to greet(\'alice\', { age: 25 }) on a strict mock');
+        bob.expect.greet.called.threw('Unexpected call to greet(\'alice\', { age: 25 }) on a strict mock');
+    });
+
+    it('includes the name of the mock', function() {
+        var stubbed = deride.stub(['greet'], {
+            strict: true,
+            name: 'bob'
+        });
+        (function() {
+            stubbed.greet();
+        }).should.throw('Unexpected call to bob.greet() on a strict mock');
+    });
+
+    it('labels a strict function by its name', function() {
+        (function() {
+            deride.func(undefined, { strict: true })(1);
+        }).should.throw('Unexpected call to function(1) on a strict mock');
+        (function() {
+            deride.func(undefined, { strict: true, name: 'callback' })(1);
+        }).should.throw('Unexpected call to callback(1) on a strict mock');
+    });
+
+    it('allows calls which have been setup', function() {
+        bob.setup.greet.toReturn('hi');
+        bob.greet('alice').should.eql('hi');
+    });
+
+    it('throws when no setup matches the arguments', function() {
+        bob.setup.greet.when('alice').toReturn('hi alice');
+        bob.setup.echo.when(function(value) {
+            return value > 1;
+        }).toReturn('big');
+        bob.greet('alice').should.eql('hi alice');
+        bob.echo(2).should.eql('big');
+        (function() {
+            bob.greet('carol');
+        }).should.throw('Unexpected call to greet(\'carol\') on a strict mock');
+        (function() {
+            bob.echo(1);
+        }).should.throw('Unexpected call to echo(1) on a strict mock');
+    });
+
+    it('can call the original method', function() {
+        bob.setup.greet.toCallOriginal();
+        bob.greet('alice').should.eql('hello alice');
+    });
+
+    it('can call the original method for specific arguments', function() {
+        bob.setup.greet.when('alice').toCallOriginal();
+        bob.greet('alice').should.eql('hello alice');
+        (function() {
+            bob.greet('carol');
+        }).should.throw(/^Unexpected call to greet/);
+    });
+
+    it('can allow a method to be called', function() {
+        bob.setup.greet.allow();
+        assert.equal(bob.greet('alice'), undefined);
+    });
+
+    it('does not make properties strict', function() {
+        bob.name.should.eql('bob');
+    });
+
+    it('is strict again once the behaviours are reset', function() {
+        var sandbox = deride.sandbox();
+        var stubbed = sandbox.stub(['greet'], {
+            strict: true
+        });
+        stubbed.setup.greet.allow();
+        stubbed.greet();
+        sandbox.resetBehaviours();
+        (function() {
+            stubbed.greet();
+        }).should.throw('Unexpected call to greet() on a strict mock');
+    });
+
+    it('applies to classes', function() {
+        class Person {
+            greet() {}
+            echo() {}
+        }
+        var MockPerson = deride.stubClass(Person, {
+            strict: true
+        });
+        MockPerson.setup.greet.toReturn('hi');
+        var person = new MockPerson('bob');
+        person.greet('alice').should.eql('hi');
+        (function() {
+            person.echo('alice');
+        }).should.throw('Unexpected call to echo(\'alice\') on a strict mock');
+    });
+});
+
+describe('Verifying all interactions', function() {
+    var bob;
+
+    beforeEach(function() {
+        bob = deride.wrap({
+            name: 'bob',
+            greet: function() {},
+            echo: function(value) {
+                return value;
+            }
+        });
+    });
+
+    it('passes when every call has been verified', function() {
+        bob.greet('alice');
+        bob.echo('carol');
+        bob.expect.greet.called.withArgs('alice');
+        bob.expect.echo.called.once();
+        bob.expect.noMoreInteractions();
+    });
+
+    it('lists the calls which have not been verified', function() {
+        bob.greet('alice');
+        bob.echo('carol');
+        bob.greet('dave');
+        bob.expect.greet.called.withArgs('alice');
+        (function() {
+            bob.expect.noMoreInteractions();
+        }).should.throw('Expected no more interactions, but the unverified calls were:\n' +
+            '  1. echo(\'carol\')\n' +
+            '  2. greet(\'dave\')');
+    });
+
+    it('only verifies the calls matching the assertion', function() {
+        bob.greet('alice');
+        bob.greet({ name: 'carol' });
+        bob.greet('dave');
+        bob.expect.greet.called.withArg('alice');
+        bob.expect.greet.called.withMatch(/carol/);
+        (function() {
+            bob.expect.noMoreInteractions();
+        }).should.throw(/unverified calls were:\n {2}1\. greet\('dave'\)$/);
+        bob.expect.greet.invocation(2).withArg('dave');
+        bob.expect.noMoreInteractions();
+    });
+
+    it('verifies calls with the return value assertions', function() {
+        bob.echo('alice');
+        bob.echo('carol');
+        bob.expect.echo.called.returned('alice');
+        (function() {
+            bob.expect.noMoreInteractions();
+        }).should.throw(/echo\('carol'\)$/);
+        bob.expect.echo.called.alwaysReturned(deride.match.anyString());
+        bob.expect.noMoreInteractions();
+    });
+
+    it('does not verify calls when an assertion fails', function() {
+        bob.greet('alice');
+        (function() {
+            bob.expect.greet.called.twice();
+        }).should.throw();
+        (function() {
+            bob.expect.noMoreInteractions();
+        }).should.throw(/greet\('alice'\)$/);
+    });
+
+    it('includes the reads and writes of properties', function() {
+        bob.name = 'robert';
+        (function() {
+            bob.expect.noMoreInteractions();
+        }).should.throw(/1\. name setter\('robert'\)$/);
+        bob.expect.prop('name').set.called.withArgs('robert');
+        bob.expect.noMoreInteractions();
+    });
+
+    it('forgets the verified calls when reset', function() {
+        bob.greet('alice');
+        bob.expect.greet.called.once();
+        bob.called.reset();
+        bob.expect.noMoreInteractions();
+    });
+
+    it('can assert that nothing was called', function() {
+        bob.expect.nothingCalled();
+        bob.greet('alice');
+        bob.echo('carol');
+        bob.expect.greet.called.once();
+        (function() {
+            bob.expect.nothingCalled();
+        }).should.throw('Expected nothing to be called, but the calls were:\n' +
+            '  1. greet(\'alice\')\n' +
+            '  2. echo(\'carol\')');
+    });
+});
+
+describe('Declared expectations', function() {
+    var bob;
+
+    beforeEach(function() {
+        bob = deride.stub(['greet', 'echo', 'fetch']);
+    });
+
+    it('sets up the behaviour of the method', function() {
+        bob.mock.greet.expects().withArgs('alice').once().returns('hi alice');
+        bob.mock.echo.expects().returns('echo');
+        bob.greet('alice').should.eql('hi alice');
+        assert.equal(bob.greet('carol'), undefined);
+        bob.echo().should.eql('echo');
+    });
+
+    it('passes verification when the expectations are met', function() {
+        bob.mock.greet.expects().withArgs('alice').once().returns('hi alice');
+        bob.mock.echo.expects().twice();
+        bob.mock.fetch.expects().never();
+        bob.greet('alice');
+        bob.greet('carol');
+        bob.echo();
+        bob.echo();
+        bob.verify();
+    });
+
+    it('expects at least one call by default', function() {
+        bob.mock.greet.expects();
+        (function() {
+            bob.verify();
+        }).should.throw('1 of 1 declared expectations were not met:\n' +
+            '  Expected greet to be called at least once but was 0\n' +
+            '    greet was never called');
+        bob.greet();
+        bob.verify();
+    });
+
+    it('reports every unmet expectation together', function() {
+        bob.mock.greet.expects().withArgs('alice').once();
+        bob.mock.echo.expects().times(3);
+        bob.mock.fetch.expects().never();
+        bob.greet('carol');
+        bob.echo('one');
+        bob.fetch();
+        (function() {
+            bob.verify();
+        }).should.throw('3 of 3 declared expectations were not met:\n' +
+            '  Expected greet to be called with: \'alice\' once but was 0\n' +
+            '    greet was called once:\n' +
+            '      1. greet(\'carol\')\n' +
+            '  Expected echo to be called 3 times but was 1\n' +
+            '    echo was called once:\n' +
+            '      1. echo(\'one\')\n' +
+            '  Expected fetch to be called 0 times but was 1\n' +
+            '    fetch was called once:\n' +
+            '      1. fetch()');
+    });
+
+    it('supports the other behaviours', function() {
+        var fn = deride.func();
+        fn.expects().withArgs(1).does(function(value) {
+            return value + 1;
+        });
+        bob.mock.greet.expects().throws('BANG');
+        bob.mock.echo.expects().rejects(new Error('nope'));
+        bob.mock.fetch.expects().resolves('done');
+        fn(1).should.eql(2);
+        fn.verify();
+        (function() {
+            bob.greet();
+        }).should.throw('BANG');
+        return bob.fetch().then(function(result) {
+            result.should.eql('done');
+            return bob.echo();
+        }).then(function() {
+            throw new Error('should have rejected');
+        }, function(err) {
+            err.message.should.eql('nope');
+            bob.verify();
+        });
+    });
+
+    it('counts the calls the behaviour applies to', function() {
+        bob.mock.greet.expects().withArgs('alice').once().returns('hi');
+        assert.equal(bob.greet('bob', 'alice'), undefined);
+        (function() {
+            bob.verify();
+        }).should.throw(/Expected greet to be called with: 'alice' once but was 0/);
+        bob.greet('alice').should.eql('hi');
+        bob.verify();
+    });
+
+    it('requires withArgs before the behaviour', function() {
+        (function() {
+            bob.mock.greet.expects().returns('hi').withArgs('alice');
+        }).should.throw('withArgs must come before toReturn in an expectation of greet');
+    });
+
+    it('forgets the declared expectations when a sandbox resets the behaviours', function() {
+        var sandbox = deride.sandbox();
+        var alice = sandbox.stub(['greet']);
+        alice.mock.greet.expects().once();
+        sandbox.resetBehaviours();
+        sandbox.verify();
+        alice.verify();
+    });
+
+    it('can verify every mock in a sandbox', function() {
+        var sandbox = deride.sandbox();
+        var alice = sandbox.stub(['greet']);
+        var carol = sandbox.wrap({
+            echo: function() {}
+        });
+        var fn = sandbox.func();
+        alice.mock.greet.expects().once();
+        carol.mock.echo.expects().withArgs('carol');
+        fn.expects().never();
+        alice.greet();
+        (function() {
+            sandbox.verify();
+        }).should.throw(/^1 of 3 declared expectations were not met:\n {2}Expected echo to be called with: 'carol' at least once but was 0/);
+        carol.echo('carol');
+        sandbox.verify();
+    });
+});
+
+describe('Simulating latency', function() {
+    var bob;
+    var fakeClock;
+
+    beforeEach(function() {
+        bob = deride.stub(['fetch', 'greet']);
+        fakeClock = deride.clock().install();
+    });
+
+    afterEach(function() {
+        fakeClock.uninstall();
+    });
+
+    function settled(promise) {
+        var state = {
+            settled: false
+        };
+        promise.then(function(value) {
+            _.assign(state, { settled: true, value: value });
+        }, function(err) {
+            _.assign(state, { settled: true, error: err });
+        });
+        return state;
+    }
+
+    function flush() {
+        return _.reduce(_.range(5), function(promise) {
+            return promise.then(_.noop);
+        }, new Promise(function(resolve) {
+            process.nextTick(resolve);
+        }));
+    }
+
+    it('resolves after a delay', function() {
+        bob.setup.fetch.toResolveAfter(100, 'done');
+        var state = settled(bob.fetch());
+        fakeClock.tick(99);
+        return flush().then(function() {
+            state.settled.should.eql(false);
+            fakeClock.tick(1);
+            return flush();
+        }).then(function() {
+            state.value.should.eql('done');
+        });
+    });
+
+    it('rejects after a delay', function() {
+        bob.setup.fetch.toRejectAfter(50, new Error('timeout'));
+        var state = settled(bob.fetch());
+        return flush().then(function() {
+            state.settled.should.eql(false);
+            fakeClock.tick(50);
+            return flush();
+        }).then(function() {
+            state.error.message.should.eql('timeout');
+        });
+    });
+
+    it('calls back after a delay', function() {
+        var results = [];
+        bob.setup.greet.toCallbackAfter(20, null, 'hello');
+        bob.greet('alice', function(err, msg) {
+            results.push(msg);
+        });
+        fakeClock.tick(19);
+        results.should.eql([]);
+        fakeClock.tick(1);
+        results.should.eql(['hello']);
+        bob.expect.greet.callback.called.withArgs(null, 'hello');
+    });
+
+    it('delays any behaviour', function() {
+        bob.setup.greet.withDelay(10).toReturn('hi');
+        bob.setup.greet.when('carol').withDelay(30).toThrow('BANG');
+        var alice = settled(bob.greet('alice'));
+        var carol = settled(bob.greet('carol'));
+        fakeClock.tick(10);
+        return flush().then(function() {
+            alice.value.should.eql('hi');
+            carol.settled.should.eql(false);
+            fakeClock.tick(20);
+            return flush();
+        }).then(function() {
+            carol.error.message.should.eql('BANG');
+        });
+    });
+
+    it('only delays the next behaviour', function() {
+        bob.setup.greet.withDelay(10).toReturn('later');
+        bob.setup.greet.when('alice').toReturn('now');
+        bob.greet('alice').should.eql('now');
+    });
+
+    it('can delay a sequenced behaviour', function() {
+        bob.setup.greet.toReturn('hi');
+        bob.setup.greet.once().withDelay(10).toReturn('slow');
+        var first = settled(bob.greet());
+        bob.greet().should.eql('hi');
+        fakeClock.tick(10);
+        return flush().then(function() {
+            first.value.should.eql('slow');
+        });
+    });
+
+    it('waits in real time without a fake clock', function() {
+        fakeClock.uninstall();
+        bob.setup.fetch.toResolveAfter(10, 'done');
+        var started = Date.now();
+        return bob.fetch().then(function(result) {
+            result.should.eql('done');
+            (Date.now() - started).should.be.aboveOrEqual(9);
+        });
+    });
+
+    it('uses the configured promise library', function() {
+        var fetch = deride.func(undefined, {
+            Promise: when.Promise
+        });
+        fetch.setup.toResolveAfter(10, 'done');
+        fetch().should.be.instanceOf(when.Promise);
+    });
+});
+
+describe('Positional argument assertions', function() {
+    var match = deride.match;
+    var bob;
+
+    beforeEach(function() {
+        bob = deride.stub(['greet']);
+        bob.greet('alice', 'bob');
+        bob.greet('carol', { age: 25 }, 3);
+    });
+
+    it('asserts on the argument at an index', function() {
+        bob.expect.greet.called.withArgAt(0, 'alice');
+        bob.expect.greet.called.withArgAt(1, match.objectContaining({ age: 25 }));
+        bob.expect.greet.called.not.withArgAt(0, 'bob');
+        bob.expect.greet.called.not.withArgAt(3, undefined);
+        (function() {
+            bob.expect.greet.called.withArgAt(1, 'alice');
+        }).should.throw('Expected greet to be called with argument 1: \'alice\'\n' +
+            '  greet was called twice:\n' +
+            '    1. greet(\'alice\', \'bob\')\n' +
+            '       arg 1: expected \'alice\' but was \'bob\'\n' +
+            '    2. greet(\'carol\', { age: 25 }, 3)\n' +
+            '       arg 1: expected \'alice\' but was { age: 25 }');
+    });
+
+    it('asserts on the arguments a call started with', function() {
+        bob.expect.greet.called.withArgsStartingWith('alice');
+        bob.expect.greet.called.withArgsStartingWith('carol', { age: 25 });
+        bob.expect.greet.called.not.withArgsStartingWith('bob', 'alice');
+        bob.expect.greet.called.not.withArgsStartingWith('alice', 'bob', match.any());
+        (function() {
+            bob.expect.greet.called.withArgsStartingWith('bob');
+        }).should.throw(/^Expected greet to be called with arguments starting with: 'bob'\n/);
+    });
+
+    it('asserts that some call had exactly the arguments in order', function() {
+        bob.expect.greet.called.withExactArgs('alice', 'bob');
+        bob.expect.greet.called.withExactArgs(match.anyString(), { age: 25 }, match.anyNumber());
+        bob.expect.greet.called.withArgs('bob', 'alice');
+        bob.expect.greet.called.not.withExactArgs('bob', 'alice');
+        bob.expect.greet.called.not.withExactArgs('alice');
+        (function() {
+            bob.expect.greet.called.withExactArgs('alice');
+        }).should.throw('Expected greet to be called with exactly: \'alice\'\n' +
+            '  greet was called twice:\n' +
+            '    1. greet(\'alice\', \'bob\')\n' +
+            '       arg 1: expected nothing but was \'bob\'\n' +
+            '    2. greet(\'carol\', { age: 25 }, 3)\n' +
+            '       arg 0: expected \'alice\' but was \'carol\'\n' +
+            '       arg 1: expected nothing but was { age: 25 }\n' +
+            '       arg 2: expected nothing but was 3');
+    });
+
+    it('asserts that every call started with the arguments', function() {
+        bob.expect.greet.called.alwaysWithArgs(match.anyString());
+        bob.expect.greet.called.not.alwaysWithArgs('alice');
+        (function() {
+            bob.expect.greet.called.alwaysWithArgs('alice');
+        }).should.throw(/^Expected greet to always be called with: 'alice'\n/);
+        (function() {
+            deride.stub(['greet']).expect.greet.called.alwaysWithArgs();
+        }).should.throw('Expected greet to always be called with: \n  greet was never called');
+    });
+
+    it('verifies the matching calls', function() {
+        bob.expect.greet.called.withExactArgs('alice', 'bob');
+        (function() {
+            bob.expect.noMoreInteractions();
+        }).should.throw(/1\. greet\('carol', \{ age: 25 \}, 3\)$/);
+        bob.expect.greet.called.withArgAt(2, 3);
+        bob.expect.noMoreInteractions();
+    });
+});
+
+describe('Invocation assertions', function() {
+    var match = deride.match;
+    var bob;
+
+    beforeEach(function() {
+        bob = deride.wrap({
+            greet: function(name) {
+                if (name === 'dave') {
+                    throw new Error('BANG');
+                }
+                return 'hello ' + name;
+            }
+        });
+        bob.greet('alice', { age: 25 });
+        bob.greet('bob', 'carol');
+        try {
+            bob.greet('dave');
+        } catch (err) {}
+    });
+
+    it('asserts on the arguments of a single call', function() {
+        bob.expect.greet.invocation(0).withArg('alice');
+        bob.expect.greet.invocation(0).withArgs({ age: 25 }, 'alice');
+        bob.expect.greet.invocation(1).matchExactly('bob', 'carol');
+        bob.expect.greet.invocation(1).withMatch(/^car/);
+        (function() {
+            bob.expect.greet.invocation(1).withArgs('alice');
+        }).should.throw('Expected greet invocation 1 to be called with: \'alice\'\n' +
+            '  greet invocation 1 was greet(\'bob\', \'carol\')\n' +
+            '       missing: \'alice\'');
+        (function() {
+            bob.expect.greet.invocation(0).matchExactly('alice', { age: 30 });
+        }).should.throw(/arg 1: expected \{ age: 30 \} but was \{ age: 25 \}$/);
+    });
+
+    it('asserts on the outcome of a single call', function() {
+        bob.expect.greet.invocation(0).returned('hello alice');
+        bob.expect.greet.invocation(2).threw('BANG');
+        (function() {
+            bob.expect.greet.invocation(1).returned('hello alice');
+        }).should.throw('Expected greet invocation 1 to have returned: \'hello alice\'\n' +
+            '  greet invocation 1 was greet(\'bob\', \'carol\')');
+        (function() {
+            bob.expect.greet.invocation(0).threw();
+        }).should.throw(/^Expected greet invocation 0 to have thrown: an error\n/);
+    });
+
+    it('asserts on the this value of a single call', function() {
+        var context = { name: 'context' };
+        bob.greet.call(context, 'erin');
+        bob.expect.greet.invocation(3).on(context);
+        bob.expect.greet.invocation(0).on(bob);
+        bob.expect.greet.invocation(0).on(match.anyObject());
+        bob.expect.greet.invocation(0).not.on(context);
+        (function() {
+            bob.expect.greet.invocation(3).on(bob);
+        }).should.throw(/^Expected greet invocation 3 to be called on: /);
+    });
+
+    it('chains the assertions', function() {
+        bob.expect.greet.invocation(0).withArg('alice').returned(match.anyString()).not.threw();
+    });
+
+    it('negates the assertions', function() {
+        bob.expect.greet.invocation(0).not.withArg('bob');
+        bob.expect.greet.invocation(1).not.returned('hello alice');
+        (function() {
+            bob.expect.greet.invocation(0).not.withArgs('alice');
+        }).should.throw('Expected greet invocation 0 not to satisfy withArgs(\'alice\')\n' +
+            '  greet invocation 0 was greet(\'alice\', { age: 25 })');
+    });
+
+    it('still exposes the arguments and timings of the call', function() {
+        var invocation = bob.expect.greet.invocation(1);
+        invocation.args.should.eql(['bob', 'carol']);
+        invocation.thisValue.should.equal(bob);
+        invocation.sequence.should.be.a.Number();
+        invocation.startedAt.should.be.a.Number();
+    });
+
+    it('counts negative indices from the last call', function() {
+        bob.expect.greet.invocation(-1).withArg('dave');
+        bob.expect.greet.invocation(-3).withArg('alice');
+        (function() {
+            bob.expect.greet.invocation(-4);
+        }).should.throw('invocation out of range');
+        (function() {
+            bob.expect.greet.invocation(3);
+        }).should.throw('invocation out of range');
+    });
+
+    it('has shortcuts for the first and last calls', function() {
+        bob.expect.greet.firstCall.withArgs('alice');
+        bob.expect.greet.lastCall.withArgs('dave').threw();
+        (function() {
+            /* jshint expr:true */
+            deride.stub(['greet']).expect.greet.firstCall;
+        }).should.throw('invocation out of range');
+    });
+
+    it('verifies the call', function() {
+        bob.expect.greet.firstCall.returned('hello alice');
+        bob.expect.greet.invocation(1).withArg('bob');
+        bob.expect.greet.lastCall.threw();
+        bob.expect.noMoreInteractions();
+    });
+});
+
+describe('Deep wrapping', function() {
+    var client;
+
+    beforeEach(function() {
+        client = {
+            name: 'client',
+            connect: function() {
+                return 'connected';
+            },
+            users: {
+                find: function(id) {
+                    return { id: id };
+                },
+                roles: {
+                    list: function() {
+                        return ['admin'];
+                    }
+                }
+            }
+        };
+    });
+
+    it('does not wrap nested objects by default', function() {
+        var mock = deride.wrap(client);
+        assert.equal(mock.expect['users.find'], undefined);
+        mock.users.should.equal(client.users);
+    });
+
+    it('wraps the methods of nested objects', function() {
+        var mock = deride.wrap(client, {
+            deep: true
+        });
+        mock.users.find(1).should.eql({ id: 1 });
+        mock.users.roles.list().should.eql(['admin']);
+        mock.users.expect.find.called.withArgs(1);
+        mock.expect['users.find'].called.once();
+        mock.expect['users.roles.list'].called.once();
+        mock.users.roles.expect.list.called.once();
+    });
+
+    it('sets up the methods of nested objects', function() {
+        var mock = deride.wrap(client, {
+            deep: true
+        });
+        mock.setup['users.find'].toReturn('alice');
+        mock.users.setup.find.when(2).toReturn('bob');
+        mock.users.find(1).should.eql('alice');
+        mock.users.find(2).should.eql('bob');
+        mock.connect().should.eql('connected');
+    });
+
+    it('names the nested methods in failure messages', function() {
+        var mock = deride.wrap(client, {
+            deep: true
+        });
+        (function() {
+            mock.expect['users.roles.list'].called.once();
+        }).should.throw('Expected users.roles.list to be called once but was 0');
+    });
+
+    it('resets and verifies the nested methods with the mock', function() {
+        var mock = deride.wrap(client, {
+            deep: true
+        });
+        mock.mock['users.find'].expects().withArgs(1).once();
+        mock.users.find(1);
+        mock.verify();
+        (function() {
+            mock.expect.noMoreInteractions();
+        }).should.throw(/1\. users\.find\(1\)$/);
+        mock.called.reset();
+        mock.expect.nothingCalled();
+        (function() {
+            mock.verify();
+        }).should.throw(/Expected users\.find to be called with: 1 once but was 0/);
+    });
+
+    it('limits the depth', function() {
+        var mock = deride.wrap(client, {
+            deep: 1
+        });
+        mock.expect['users.find'].should.be.an.Object();
+        assert.equal(mock.expect['users.roles.list'], undefined);
+        mock.users.roles.should.equal(client.users.roles);
+    });
+
+    it('does not follow cycles', function() {
+        client.users.client = client;
+        var mock = deride.wrap(client, {
+            deep: true
+        });
+        mock.users.find(1);
+        mock.users.client.should.equal(client);
+        mock.expect['users.find'].called.once();
+    });
+
+    it('stubs nested objects', function() {
+        var stubbed = deride.stub(client, {
+            deep: true
+        });
+        assert.equal(stubbed.users.find(1), undefined);
+        assert.equal(stubbed.connect(), undefined);
+        stubbed.setup['users.roles.list'].toReturn([]);
+        stubbed.users.roles.list().should.eql([]);
+        stubbed.expect['users.find'].called.withArgs(1);
+    });
+
+    it('stubs objects with cycles', function() {
+        client.users.client = client;
+        var stubbed = deride.stub(client, {
+            deep: true
+        });
+        stubbed.users.find();
+        stubbed.users.should.not.have.property('client');
+        stubbed.users.expect.find.called.once();
+    });
+});
+
+describe('Auto stubs', function() {
+    it('creates a method for any property accessed', function() {
+        var mock = deride.autoStub();
+        assert.equal(mock.anything(), undefined);
+        mock.expect.anything.called.once();
+        mock.expect.somethingElse.called.never();
+    });
+
+    it('returns the same method for repeated access', function() {
+        var mock = deride.autoStub();
+        mock.anything.should.equal(mock.anything);
+    });
+
+    it('sets up methods before they are called', function() {
+        var mock = deride.autoStub();
+        mock.setup.anything.toReturn(1);
+        mock.setup.other.when('a').toReturn('b');
+        mock.anything().should.equal(1);
+        mock.other('a').should.equal('b');
+        mock.expect.other.called.withArgs('a');
+    });
+
+    it('records the arguments and context of calls', function() {
+        var mock = deride.autoStub();
+        mock.save({ id: 1 }, 'now');
+        mock.expect.save.called.withArgs({ id: 1 }, 'now');
+        mock.expect.save.invocation(0).on(mock);
+    });
+
+    it('rejects methods missing from the allow-list', function() {
+        var mock = deride.autoStub(['find', 'save']);
+        mock.find();
+        mock.expect.save.called.never();
+        (function() {
+            mock.fnid();
+        }).should.throw('fnid is not an allowed method of the auto stub');
+        (function() {
+            mock.setup.sav.toReturn(1);
+        }).should.throw('sav is not an allowed method of the auto stub');
+    });
+
+    it('names the stub in errors and messages', function() {
+        var mock = deride.autoStub(['find'], {
+            name: 'repo'
+        });
+        (function() {
+            mock.save();
+        }).should.throw('repo.save is not an allowed method of the auto stub');
+        (function() {
+            mock.expect.find.called.once();
+        }).should.throw(/Expected repo\.find to be called once but was 0/);
+    });
+
+    it('is not mistaken for a promise', function() {
+        var mock = deride.autoStub();
+        assert.equal(mock.then, undefined);
+        return Promise.resolve(mock).then(function(resolved) {
+            resolved.should.equal(mock);
+            mock.expect.nothingCalled();
+        });
     });
 
-    it('Resetting the called with count', function(done) {
-        var myClass = deride.wrap(new MyClass());
-        myClass.doStuff('test');
-        myClass.expect.doStuff.called.withArgs('test');
-        myClass.expect.doStuff.called.reset();
+    it('checks interactions across all its methods', function() {
+        var mock = deride.autoStub();
+        mock.expect.nothingCalled();
+        mock.find(1);
+        mock.expect.find.called.once();
+        mock.save(2);
         (function() {
-            myClass.expect.doStuff.called.withArgs('test');
-        }).should.throw('Expected doStuff to be called with: test');
-        done();
+            mock.expect.noMoreInteractions();
+        }).should.throw(/1\. save\(2\)$/);
+        mock.called.reset();
+        mock.expect.nothingCalled();
     });
 
-    it('Resetting the called count on all methods', function(done) {
-        var myClass = deride.wrap(new MyClass());
-        myClass.doStuff('test1');
-        myClass.echo('echo1');
+    it('supports declared expectations', function() {
+        var mock = deride.autoStub();
+        mock.mock.find.expects().withArgs(1).once().returns('found');
+        mock.find(1).should.equal('found');
+        mock.verify();
+    });
 
-        myClass.expect.doStuff.called.once();
-        myClass.expect.echo.called.once();
-        myClass.called.reset();
+    it('emits events from behaviours', function(done) {
+        var mock = deride.autoStub();
+        mock.setup.start.toEmit('started', 1);
+        mock.on('started', function(value) {
+            value.should.equal(1);
+            done();
+        });
+        mock.start();
+    });
 
-        myClass.expect.doStuff.called.never();
-        myClass.expect.echo.called.never();
+    it('is reset by a sandbox', function() {
+        var sandbox = deride.sandbox();
+        var mock = sandbox.autoStub();
+        mock.setup.find.toReturn(1);
+        mock.find();
+        sandbox.restore();
+        mock.expect.find.called.never();
+        assert.equal(mock.find(), undefined);
+    });
 
-        done();
+    it('honours the strict option', function() {
+        var mock = deride.autoStub({
+            strict: true
+        });
+        mock.setup.find.toReturn(1);
+        mock.find().should.equal(1);
+        (function() {
+            mock.save();
+        }).should.throw(/Unexpected call to save\(\) on a strict mock/);
     });
+});
 
-    it('Wrapping a class does not remove non-functions', function() {
-        var myClass = deride.wrap(new MyClass());
-        myClass.should.have.property('aValue');
+describe('Conformance', function() {
+    function Person() {}
+    Person.prototype.greet = function(name) {
+        return 'hello ' + name;
+    };
+    Person.prototype.farewell = function() {
+        return 'bye';
+    };
+
+    it('passes when the stub matches the real type', function() {
+        var bob = deride.stub(['greet', 'farewell']);
+        bob.greet('alice');
+        deride.verifyConformance(bob, Person);
     });
 
-    it('can setup a return value', function(done) {
-        var func = deride.func();
-        func.setup.toReturn(1);
-        var value = func(1, 2, 3);
-        assert.equal(value, 1);
-        done();
+    it('fails when a stubbed method does not exist on the real type', function() {
+        var bob = deride.stub(['gret', 'farewell']);
+        (function() {
+            deride.verifyConformance(bob, Person);
+        }).should.throw('Expected the mock to conform to Person, but:\n' +
+            '  gret is not a method of Person\n' +
+            '  greet is missing from the mock');
     });
 
-    it('can setup to invoke a callback', function(done) {
-        var func = deride.func();
-        func.setup.toCallbackWith(['hello', 'world']);
-        func(function(arg1, arg2) {
-            assert.equal(arg1, 'hello');
-            assert.equal(arg2, 'world');
-            done();
+    it('fails when a call passes more arguments than the real function takes', function() {
+        var bob = deride.stub(['greet', 'farewell']);
+        bob.setup.greet.toDoThis(function(name, greeting) {
+            return greeting + ' ' + name;
         });
+        bob.greet('alice', 'hi');
+        bob.farewell();
+        (function() {
+            deride.verifyConformance(bob, Person);
+        }).should.throw('Expected the mock to conform to Person, but:\n' +
+            '  greet(\'alice\', \'hi\') passed 2 arguments but Person.greet takes 1');
     });
 
-    describe('wrapping an existing function', function (){
-        var f;
-        beforeEach(function () {
-            f = function (name) {
+    it('checks against plain objects', function() {
+        var real = {
+            greet: function(name) {
+                return name;
+            }
+        };
+        deride.verifyConformance(deride.stub(real), real);
+        (function() {
+            deride.verifyConformance(deride.stub(['greet', 'echo']), real);
+        }).should.throw(/echo is not a method of the real object/);
+    });
+
+    it('checks mocks of ES classes', function() {
+        class Animal {
+            greet(name) {
                 return 'hello ' + name;
-            };
-        });
+            }
+        }
+        class Dog extends Animal {
+            bark() {
+                return 'woof';
+            }
+        }
+        var stubbed = deride.stub(Dog, {
+            conformsTo: Dog
+        });
+        stubbed.setup.greet.toReturn('hi');
+        stubbed.greet('alice').should.eql('hi');
+        var wrapped = deride.wrap(new Dog(), {
+            conformsTo: Dog
+        });
+        wrapped.bark().should.eql('woof');
+        wrapped.expect.bark.called.once();
+        deride.verifyConformance(stubbed, Dog);
+        deride.verifyConformance(wrapped, Dog);
+    });
 
-        it('can wrap an existing function', function () {
-            var func = deride.func(f);
-            assert(func('bob'), 'hello bob');
-            func.expect.called.withArg('bob');
-        });
+    it('checks stubs created with conformsTo when they are created', function() {
+        deride.stub(['greet', 'farewell'], {
+            conformsTo: Person
+        }).greet.should.be.a.Function();
+        (function() {
+            deride.stub(['greet'], {
+                conformsTo: Person
+            });
+        }).should.throw(/farewell is missing from the mock/);
+    });
 
-        it('can wrap a promised function', function (done) {
-            var func = deride.func(when.lift(f));
-            func('bob').then(function(result){
-                assert(result, 'hello bob');
-                func.expect.called.withArg('bob');
-            }).finally(done);
+    it('checks stubs created with conformsTo when they are verified', function() {
+        var bob = deride.stub(['greet', 'farewell'], {
+            conformsTo: Person
         });
+        bob.greet();
+        bob.verify();
+        bob.farewell('now');
+        (function() {
+            bob.verify();
+        }).should.throw(/farewell\('now'\) passed 1 arguments but Person\.farewell takes 0/);
     });
 
-    it('can setup an intercept on promises', function (done) {
-        var promise = require('when');
-        var Obj = function() {
-            return {
-                times: function (arg) {
-                    return promise.resolve(arg * 2);
+    it('checks the methods used on an auto stub', function() {
+        var mock = deride.autoStub();
+        deride.verifyConformance(mock, Person);
+        mock.greet('alice');
+        mock.expect.farewell.called.never();
+        deride.verifyConformance(mock, Person);
+        mock.setup.gret.toReturn('hi');
+        mock.greet('alice', 'hello');
+        (function() {
+            deride.verifyConformance(mock, Person);
+        }).should.throw('Expected the mock to conform to Person, but:\n' +
+            '  greet(\'alice\', \'hello\') passed 2 arguments but Person.greet takes 1\n' +
+            '  gret is not a method of Person');
+    });
+
+    it('checks the allow-list of an auto stub', function() {
+        deride.verifyConformance(deride.autoStub(['greet', 'farewell']), Person);
+        (function() {
+            deride.verifyConformance(deride.autoStub(['gret', 'farewell']), Person);
+        }).should.throw('Expected the mock to conform to Person, but:\n' +
+            '  gret is not a method of Person\n' +
+            '  greet is missing from the mock');
+    });
+
+    it('only checks mocks created by deride', function() {
+        (function() {
+            deride.verifyConformance({ greet: function() {} }, Person);
+        }).should.throw('Only mocks created by deride can be checked for conformance');
+    });
+
+    it('checks the stubbed methods of deep stubs', function() {
+        var real = {
+            users: {
+                find: function(id) {
+                    return id;
                 }
-            };
+            }
         };
-        var beforeCalledWith;
-
-        var a = deride.wrap(new Obj());
-        a.setup.times.toIntercept(function (value) {
-            beforeCalledWith = value;
-        });
-        a.times(2).then(function (result) {
-            result.should.eql(4);
-            beforeCalledWith.should.eql(2);
-            done();
+        var stubbed = deride.stub(real, {
+            deep: true,
+            conformsTo: real
         });
+        stubbed.users.find(1, 2);
+        (function() {
+            stubbed.verify();
+        }).should.throw(/users\.find\(1, 2\) passed 2 arguments but the real users\.find takes 1/);
     });
-});
 
+});
 
 describe('Eventing', function() {
     it('should allow the force of an emit', function(done) {
@@ -383,6 +2766,140 @@ describe('Properties', function() {
     });
 });
 
+describe('Property spying', function() {
+    var person;
+    var bob;
+    beforeEach(function() {
+        person = {
+            name: 'bob',
+            age: 25,
+            greet: function() {
+                return 'hello from ' + this.name;
+            }
+        };
+        Object.defineProperty(person, 'description', {
+            enumerable: false,
+            get: function() {
+                return this.name + ' is ' + this.age;
+            }
+        });
+        bob = deride.wrap(person);
+    });
+
+    it('passes property reads through to the wrapped object', function() {
+        bob.age.should.eql(25);
+        bob.description.should.eql('bob is 25');
+    });
+
+    it('keeps property writes on the mock', function() {
+        bob.age = 26;
+        person.age.should.eql(25);
+        bob.age.should.eql(26);
+    });
+
+    it('does not record the reads made by assertions', function() {
+        var carol = deride.stub(['greet']);
+        carol.greet(bob);
+        carol.expect.greet.called.withArgs(bob);
+        carol.expect.greet.called.withArg(deride.match.objectContaining({ name: 'bob' }));
+        carol.expect.greet.called.not.withArgs({ name: 'alice' });
+        carol.setup.greet.when(bob).toReturn('hi');
+        carol.greet(bob).should.eql('hi');
+        (function() {
+            carol.expect.greet.called.withArgs('alice');
+        }).should.throw(/greet\(\{/);
+        bob.expect.nothingCalled();
+    });
+
+    it('records property reads', function() {
+        /* jshint expr:true */
+        bob.age;
+        bob.age;
+        bob.description;
+        bob.expect.prop('age').get.called.twice();
+        bob.expect.prop('description').get.called.once();
+        bob.expect.prop('name').get.called.never();
+    });
+
+    it('records property writes', function() {
+        bob.age = 31;
+        bob.expect.prop('age').set.called.once();
+        bob.expect.prop('age').set.called.withArg(31);
+        bob.expect.prop('age').set.called.not.withArg(32);
+    });
+
+    it('enables setting the value returned by a getter', function() {
+        bob.setup.prop('age').toReturn(30);
+        bob.age.should.eql(30);
+        bob.expect.prop('age').get.called.once();
+    });
+
+    it('enables sequencing the values returned by a getter', function() {
+        bob.setup.prop('age').toReturnInOrder(30, 31);
+        [bob.age, bob.age, bob.age].should.eql([30, 31, 25]);
+    });
+
+    it('enables throwing from a getter', function() {
+        bob.setup.prop('age').toThrow('BANG');
+        (function() {
+            return bob.age;
+        }).should.throw('BANG');
+    });
+
+    it('enables overriding a setter', function() {
+        var values = [];
+        bob.setup.prop('age').set.toDoThis(function(value) {
+            values.push(value);
+        });
+        bob.age = 40;
+        values.should.eql([40]);
+        person.age.should.eql(25);
+    });
+
+    it('resets property expectations with the rest of the mock', function() {
+        /* jshint expr:true */
+        bob.age;
+        bob.called.reset();
+        bob.expect.prop('age').get.called.never();
+    });
+
+    it('gives a meaningful error when the assertion fails', function() {
+        (function() {
+            bob.expect.prop('age').get.called.once();
+        }).should.throw('Expected age getter to be called once but was 0');
+    });
+
+    it('throws when the property does not exist', function() {
+        (function() {
+            bob.expect.prop('height');
+        }).should.throw('height is not a property of the mock');
+    });
+
+    it('spies on properties given when stubbing', function() {
+        var alice = deride.stub(['greet'], [{
+            name: 'age',
+            options: {
+                value: 25,
+                enumerable: true
+            }
+        }]);
+        alice.setup.prop('age').toReturn(40);
+        alice.age.should.eql(40);
+        alice.expect.prop('age').get.called.once();
+    });
+
+    it('resets property setups in a sandbox', function() {
+        var sandbox = deride.sandbox();
+        var alice = sandbox.wrap(person);
+        alice.setup.prop('age').toReturn(40);
+        /* jshint expr:true */
+        alice.age;
+        sandbox.restore();
+        alice.expect.prop('age').get.called.never();
+        alice.age.should.eql(25);
+    });
+});
+
 var fooBarFunction = function(timeout, callback) {
     setTimeout(function() {
         callback('result');
@@ -656,6 +3173,145 @@ _.forEach(tests, function(test) {
         });
     });
 
+    describe(test.name + ':sequenced setup', function() {
+        beforeEach(function() {
+            bob = test.setup();
+            bob.setup.greet.toReturn('default');
+        });
+
+        it('enables setting the behaviour for a specific invocation', function() {
+            bob.setup.greet.onCall(1).toReturn('second');
+            bob.greet('alice').should.eql('default');
+            bob.greet('alice').should.eql('second');
+            bob.greet('alice').should.eql('default');
+        });
+
+        it('enables setting the behaviour for the next invocation only', function() {
+            bob.setup.greet.once().toReturn('first');
+            bob.greet('alice').should.eql('first');
+            bob.greet('alice').should.eql('default');
+        });
+
+        it('enables setting the behaviour for a number of invocations', function() {
+            bob.setup.greet.times(2).toThrow('BANG');
+            assert.throws(function() {
+                bob.greet('alice');
+            }, /BANG/);
+            assert.throws(function() {
+                bob.greet('alice');
+            }, /BANG/);
+            bob.greet('alice').should.eql('default');
+        });
+
+        it('applies sequenced behaviours in the order they were setup', function() {
+            bob.setup.greet.once().toReturn('first');
+            bob.setup.greet.once().toReturn('second');
+            bob.greet('alice').should.eql('first');
+            bob.greet('alice').should.eql('second');
+            bob.greet('alice').should.eql('default');
+        });
+
+        it('enables returning values in order before falling back to the default', function() {
+            bob.setup.greet.toReturnInOrder('a', 'b', 'c');
+            _.times(4, function() {
+                return bob.greet('alice');
+            }).should.eql(['a', 'b', 'c', 'default']);
+        });
+
+        it('enables returning values in order from a specific invocation', function() {
+            bob.setup.greet.onCall(1).toReturnInOrder('a', 'b');
+            bob.setup.greet.toReturn('fallback');
+            _.times(4, function() {
+                return bob.greet('alice');
+            }).should.eql(['fallback', 'a', 'b', 'fallback']);
+        });
+
+        it('enables returning each value in order for a number of invocations', function() {
+            bob.setup.greet.twice().toReturnInOrder('a', 'b');
+            _.times(5, function() {
+                return bob.greet('alice');
+            }).should.eql(['a', 'a', 'b', 'b', 'default']);
+        });
+
+        it('enables returning values in order when specific arguments are provided', function() {
+            bob.setup.greet.when('alice').toReturnInOrder(['a', 'b']);
+            bob.greet('bob').should.eql('default');
+            bob.greet('alice').should.eql('a');
+            bob.greet('bob').should.eql('default');
+            bob.greet('alice').should.eql('b');
+            bob.greet('alice').should.eql('default');
+        });
+
+        it('enables sequencing behaviours when a predicate is provided', function() {
+            bob.setup.greet.when(function(name) {
+                return name === 'alice';
+            }).once().toReturn('hello alice');
+            bob.greet('bob').should.eql('default');
+            bob.greet('alice').should.eql('hello alice');
+            bob.greet('alice').should.eql('default');
+        });
+
+        it('enables sequencing promise behaviours', function() {
+            bob.setup.greet.once().toRejectWith(new Error('retry'));
+            bob.setup.greet.toResolveWith('done');
+            return bob.greet('alice').then(function() {
+                throw new Error('should have rejected');
+            }, function(err) {
+                err.message.should.eql('retry');
+                return bob.greet('alice');
+            }).then(function(result) {
+                result.should.eql('done');
+            });
+        });
+    });
+
+    describe(test.name + ':throwing errors', function() {
+        beforeEach(function() {
+            bob = test.setup();
+        });
+
+        it('enables throwing an error instance', function() {
+            var error = new Error('read ECONNRESET');
+            error.code = 'ECONNRESET';
+            bob.setup.greet.toThrow(error);
+            (function() {
+                bob.greet('alice');
+            }).should.throw(error);
+        });
+
+        it('enables throwing an error built from a class and arguments', function() {
+            class HttpError extends Error {
+                constructor(status, message) {
+                    super(message);
+                    this.status = status;
+                }
+            }
+            bob.setup.greet.toThrow(HttpError, 404, 'not found');
+            (function() {
+                bob.greet('alice');
+            }).should.throw(HttpError, {
+                status: 404,
+                message: 'not found'
+            });
+            bob.greet.bind(null, 'carol').should.throw(HttpError);
+            bob.expect.greet.invocation(0).error.should.not.equal(bob.expect.greet.invocation(1).error);
+        });
+
+        it('enables throwing an error built from the arguments of the call', function() {
+            bob.setup.greet.toThrow(function(name) {
+                var error = new Error('no greeting for ' + name);
+                error.code = 'ENOGREETING';
+                return error;
+            });
+            (function() {
+                bob.greet('alice');
+            }).should.throw({
+                message: 'no greeting for alice',
+                code: 'ENOGREETING'
+            });
+        });
+    });
+
     describe(test.name + ':with promises', function() {
         beforeEach(function() {
             bob = test.setup();
@@ -670,6 +3326,34 @@ _.forEach(tests, function(test) {
         it('enables rejecting a promise', function() {
             bob.greet('norman').should.be.rejectedWith('foobar');
         });
+
+        it('enables rejecting with an error built from a class and arguments', function() {
+            bob.setup.greet.when('carol').toRejectWith(TypeError, 'not a person');
+            return bob.greet('carol').should.be.rejectedWith(TypeError, {
+                message: 'not a person'
+            });
+        });
+
+        it('enables rejecting with an error built from the arguments of the call', function() {
+            bob.setup.greet.when('carol').toRejectWith(function(name) {
+                return new Error(name + ' is unknown');
+            });
+            return bob.greet('carol').should.be.rejectedWith('carol is unknown');
+        });
+
+        it('enables lazily rejecting with an error built from a class and arguments', function() {
+            class HttpError extends Error {
+                constructor(status, message) {
+                    super(message);
+                    this.status = status;
+                }
+            }
+            bob.setup.greet.when('carol').toReject(HttpError, 404, 'not found');
+            return bob.greet('carol').should.be.rejectedWith(HttpError, {
+                status: 404,
+                message: 'not found'
+            });
+        });
     });
 
     describe(test.name + ':callbackWith', function() {
@@ -697,6 +3381,114 @@ _.forEach(tests, function(test) {
                 });
             });
         });
+
+        it('records the call to the callback', function() {
+            bob.setup.greet.toCallbackWith(null, 'hello');
+            bob.greet('joe', function() {
+                return 'done';
+            });
+            bob.expect.greet.callback.called.once();
+            bob.expect.greet.callback.called.withArgs(null, 'hello');
+            bob.expect.greet.callback.called.returned('done');
+            bob.expect.greet.called.reset();
+            bob.expect.greet.callback.called.never();
+        });
+
+        it('throws when there is no callback', function() {
+            bob.setup.greet.toCallbackWith(null, 'hello');
+            (function() {
+                bob.greet('joe');
+            }).should.throw('greet was not called with a callback');
+        });
+
+        it('can call back with an error', function(done) {
+            var error = new Error('BANG');
+            bob.setup.greet.toCallbackWithError(error);
+            bob.greet('joe', function(err) {
+                err.should.equal(error);
+                arguments.length.should.eql(1);
+                done();
+            });
+        });
+
+        it('can call back asynchronously', function(done) {
+            var calledBack = false;
+            bob.setup.greet.toCallbackWithAsync(null, 'hello');
+            bob.greet('joe', function(err, msg) {
+                calledBack = true;
+                msg.should.eql('hello');
+                bob.expect.greet.callback.called.withArgs(null, 'hello');
+                done();
+            });
+            calledBack.should.eql(false);
+            bob.expect.greet.callback.called.never();
+        });
+
+        it('can call back asynchronously on the next tick', function(done) {
+            var order = [];
+            bob.setup.greet.onNextTick().toCallbackWithAsync('tick');
+            setImmediate(function() {
+                order.should.eql(['tick']);
+                done();
+            });
+            bob.greet(function(value) {
+                order.push(value);
+            });
+            order.should.eql([]);
+        });
+
+        it('calls back asynchronously on the fake clock', function() {
+            var fakeClock = deride.clock().install();
+            try {
+                var calledBack = false;
+                bob.setup.greet.toCallbackWithAsync();
+                bob.greet(function() {
+                    calledBack = true;
+                });
+                calledBack.should.eql(false);
+                fakeClock.next();
+                calledBack.should.eql(true);
+            } finally {
+                fakeClock.uninstall();
+            }
+        });
+
+        it('can call back the argument at an index', function(done) {
+            bob.setup.greet.toCallbackAt(0, 'success');
+            bob.greet(function(value) {
+                value.should.eql('success');
+                bob.expect.greet.callback.called.withArgs('success');
+                done();
+            }, function() {
+                done('this is not the callback');
+            });
+        });
+
+        it('throws when the argument at an index is not a callback', function() {
+            bob.setup.greet.toCallbackAt(1, 'success');
+            (function() {
+                bob.greet(function() {}, 'joe');
+            }).should.throw('argument 1 of greet is not a callback');
+        });
+
+        it('can call back a property of an argument', function(done) {
+            var options = {
+                done: function(err, msg) {
+                    this.should.equal(options);
+                    msg.should.eql('hello');
+                    done();
+                }
+            };
+            bob.setup.greet.toCallbackProperty('done', null, 'hello');
+            bob.greet('joe', options);
+        });
+
+        it('throws when no argument has the callback property', function() {
+            bob.setup.greet.toCallbackProperty('done');
+            (function() {
+                bob.greet('joe', {});
+            }).should.throw('greet was not called with a done callback');
+        });
     });
 
     describe(test.name, function() {
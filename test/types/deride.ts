@@ -0,0 +1,112 @@
+import * as deride from '../../lib/deride';
+
+interface Details {
+    age: number;
+}
+
+interface Person {
+    name: string;
+    greet(name: string, details?: Details): string;
+    fetch(id: number): Promise<Details>;
+    load(path: string, callback: (err: Error | null, data?: string) => void): void;
+}
+
+declare const person: Person;
+
+class HttpError extends Error {
+    constructor(public status: number, message: string) {
+        super(message);
+    }
+}
+
+class Connection {
+    constructor(public url: string) {}
+
+    query(sql: string): string {
+        return sql;
+    }
+}
+
+const bob = deride.wrap(person);
+bob.setup.greet.toReturn('hi');
+bob.setup.greet.when('alice', deride.match.objectContaining({ age: 25 })).toReturn('hello alice');
+bob.setup.greet.onCall(1).toThrow(HttpError, 404, 'not found');
+bob.setup.fetch.toResolveWith({ age: 25 });
+bob.setup.fetch.toReject(HttpError, 404, 'not found');
+bob.setup.fetch.toRejectWith(new Error('BANG'));
+bob.setup.load.toCallbackWith(null, 'data');
+// @ts-expect-error greet returns a string
+bob.setup.greet.toReturn(1);
+// @ts-expect-error greet does not return a promise
+bob.setup.greet.toResolveWith('hi');
+// @ts-expect-error there is no such method
+bob.setup.leave.toReturn('bye');
+
+bob.expect.greet.called.once();
+bob.expect.greet.called.withArgs('alice');
+bob.expect.greet.called.withArgs({ age: 25 }, 'alice');
+bob.expect.greet.called.withArgs(deride.match.anyString());
+bob.expect.greet.called.matchExactly('alice', { age: 25 });
+bob.expect.greet.called.not.withArgs('carol').called.once();
+bob.expect.greet.invocation(0).withArgs({ age: 25 }, 'alice').returned('hello alice');
+bob.expect.greet.invocation(1).not.threw();
+// @ts-expect-error greet is never called with a number
+bob.expect.greet.called.withArgs(25);
+// @ts-expect-error matchExactly checks the arguments in order
+bob.expect.greet.called.matchExactly({ age: 25 }, 'alice');
+// @ts-expect-error the recorded call has no age
+bob.expect.greet.invocation(0).withArgs({ age: '25' });
+
+const returnValue: string | undefined = bob.expect.greet.invocation(0).returnValue;
+const error: any = bob.expect.greet.invocation(0).error;
+// @ts-expect-error returned is an assertion on invocations
+const returned: string | undefined = bob.expect.greet.invocation(0).returned;
+const recorded: string | undefined = bob.expect.greet.calls[0].returned;
+
+const waits: Array<Promise<void>> = [
+    bob.expect.greet.eventually.called.withArgs('alice'),
+    bob.expect.greet.eventually({ timeout: 500 }).called.times(2, 'never called twice'),
+    bob.expect.fetch.eventually({ timeout: 500 }).called.resolvedWith({ age: 25 }),
+    bob.expect.greet.called.waitFor(2, { timeout: 500 })
+];
+// @ts-expect-error the wait options go to eventually
+bob.expect.greet.eventually.called.once({ timeout: 500 });
+
+const greet = deride.func((name: string) => 'hello ' + name);
+greet.setup.toReturn('hi');
+greet.expect.called.withArgs('alice');
+// @ts-expect-error the function returns a string
+greet.setup.toReturn(false);
+
+const format = deride.mockModule('./format', (name: string) => 'hello ' + name).mock;
+format.setup.toReturn('hi');
+format.expect.called.withArgs('alice');
+// @ts-expect-error the replacement returns a string
+format.setup.toReturn(1);
+
+const MockConnection = deride.stubClass(Connection);
+MockConnection.setup.query.toReturn('stubbed result');
+const connection = new MockConnection('db://test');
+connection.expect.query.called.withArgs('select 1');
+MockConnection.expect.constructor.called.withArgs('db://test');
+// @ts-expect-error query returns a string
+MockConnection.setup.query.toReturn(1);
+
+const stubbedConnection = deride.stub(Connection, { conformsTo: Connection });
+stubbedConnection.setup.query.toReturn('stubbed result');
+// @ts-expect-error connections have no such method
+stubbedConnection.setup.close.toReturn(undefined);
+
+const clock = deride.clock({ now: 0 }).install();
+const timer = clock.setTimeout(() => undefined, 100);
+clock.clearTimeout(timer);
+clock.tick(100);
+const elapsed: bigint = clock.hrtime.bigint();
+const [seconds, nanoseconds] = clock.hrtime();
+// @ts-expect-error tick takes milliseconds
+clock.tick('100');
+clock.uninstall();
+
+const sandbox = deride.sandbox();
+sandbox.wrap(person).expect.prop('name').get.called.never();
+deride.inOrder(bob.expect.greet, bob.expect.fetch);